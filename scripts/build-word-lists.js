@@ -0,0 +1,122 @@
+// Builds the generated word pack lists:
+// - English answers for lengths other than five, from SCOWL (via the
+//   wordlist-english package). The five-letter answers are the original
+//   Wordle list and are not generated.
+// - English allowed guesses for every length, from the larger SCOWL sizes
+// - German allowed guesses, from the an-array-of-german-words package
+// - Turkish allowed guesses, from the stems of the dictionary-tr Hunspell
+//   dictionary
+// The German and Turkish answer lists are curated by hand. English answers,
+// the curated five-letter list included, skip blocked words, which stay valid
+// guesses.
+const fs = require('fs');
+const path = require('path');
+const wordlist = require('wordlist-english');
+const germanWords = require('an-array-of-german-words');
+const { BLOCKED_WORDS } = require('../src/game/chat');
+
+const PACKS_DIR = path.join(__dirname, '..', 'src', 'utils', 'word-packs');
+
+const ANSWER_LENGTHS = [4, 6, 7];
+// SCOWL sizes up to 35 are common words; allowed guesses go up to 70, which
+// still leaves out the rarest words
+const ANSWER_SIZES = [10, 20, 35];
+const ALLOWED_SIZES = [10, 20, 35, 40, 50, 55, 60, 70];
+const SOURCE = 'SCOWL sizes 10-35 (english + american), Copyright 2000-2016 by Kevin Atkinson';
+const ALLOWED_SOURCE = 'SCOWL sizes 10-70 (english + american), Copyright 2000-2016 by Kevin Atkinson';
+const GERMAN_SOURCE = 'an-array-of-german-words (MIT)';
+const TURKISH_SOURCE = 'dictionary-tr stems (MIT), Copyright 2014 Harun Reşit Zafer';
+
+// Never picked as an answer: the chat filter's words plus slurs, sexual words
+// and violent words, with simple inflections
+const BLOCKED_ANSWERS = [
+  ...BLOCKED_WORDS,
+  'anal', 'anus', 'chink', 'cock', 'condom', 'coon', 'crotch', 'cum',
+  'dildo', 'dyke', 'enema', 'erotic', 'gook', 'harlot', 'horny', 'hussy',
+  'incest', 'jizz', 'kike', 'nazi', 'nipple', 'orgasm', 'penis', 'porn',
+  'porno', 'pubic', 'rape', 'rapist', 'rectum', 'semen', 'sexy', 'smut',
+  'sodomy', 'sperm', 'spunk', 'tit', 'tranny', 'vagina', 'wank'
+];
+const BLOCKED_ANSWER_PATTERN = new RegExp(`^(${BLOCKED_ANSWERS.join('|')})(s|es|d|ed|er|ers|ing|y|ty)?$`);
+
+function isBlockedAnswer(word) {
+  return BLOCKED_ANSWER_PATTERN.test(word);
+}
+
+function scowlWords(sizes) {
+  return new Set(
+    sizes.flatMap(size => [
+      ...wordlist[`english/${size}`],
+      ...wordlist[`english/american/${size}`]
+    ]).filter(word => /^[a-z]+$/.test(word))
+  );
+}
+
+const common = scowlWords(ANSWER_SIZES);
+const allowed = scowlWords(ALLOWED_SIZES);
+
+// Skip simple inflections (plurals, past tense, -ing) of words already in the
+// list, which make poor answers
+function isInflection(word) {
+  return (word.endsWith('s') && common.has(word.slice(0, -1))) ||
+    (word.endsWith('es') && common.has(word.slice(0, -2))) ||
+    (word.endsWith('ed') && (common.has(word.slice(0, -2)) || common.has(word.slice(0, -1)))) ||
+    (word.endsWith('ing') && (common.has(word.slice(0, -3)) || common.has(`${word.slice(0, -3)}e`)));
+}
+
+// Read from disk rather than require, which would cache a list rewritten here
+function readWords(language, file) {
+  return JSON.parse(fs.readFileSync(path.join(PACKS_DIR, language, file), 'utf8')).words;
+}
+
+function writeWords(language, file, source, words) {
+  const target = path.join(PACKS_DIR, language, file);
+  fs.writeFileSync(target, `${JSON.stringify({ source, words }, null, 2)}\n`);
+  console.log(`Wrote ${words.length} words to ${path.relative(process.cwd(), target)}`);
+}
+
+// Blocked words dropped from the answers, which the allowed lists keep
+const blocked = new Set();
+
+ANSWER_LENGTHS.forEach(length => {
+  const candidates = [...common].filter(word => word.length === length && !isInflection(word));
+  candidates.filter(isBlockedAnswer).forEach(word => blocked.add(word));
+  const words = candidates.filter(word => !isBlockedAnswer(word)).sort();
+  writeWords('en', `answers-${length}.json`, SOURCE, words);
+});
+
+// The curated list has no source line and keeps its order
+const curatedAnswers = readWords('en', 'answers-5.json');
+curatedAnswers.filter(isBlockedAnswer).forEach(word => blocked.add(word));
+writeWords('en', 'answers-5.json', undefined, curatedAnswers.filter(word => !isBlockedAnswer(word)));
+
+// Allowed lists only hold the extra guesses; answers are always allowed
+[4, 5, 6, 7].forEach(length => {
+  const answers = new Set(readWords('en', `answers-${length}.json`));
+  const words = [...new Set([...allowed, ...blocked])]
+    .filter(word => word.length === length && !answers.has(word))
+    .sort();
+  writeWords('en', `allowed-${length}.json`, ALLOWED_SOURCE, words);
+});
+
+const germanAnswers = new Set(readWords('de', 'answers-5.json'));
+const germanAllowed = new Set(
+  germanWords
+    .map(word => word.normalize('NFC').toLocaleLowerCase('de'))
+    .filter(word => /^[a-zäöüß]{5}$/.test(word) && !germanAnswers.has(word))
+);
+writeWords('de', 'allowed-5.json', GERMAN_SOURCE, [...germanAllowed].sort((a, b) => a.localeCompare(b, 'de')));
+
+// dictionary-tr is an ES module, so its word list is read from the file. Each
+// line is a stem with optional affix flags ("kalem/13,14"); capitalised stems
+// are names and abbreviations.
+const turkishDictionary = path.join(path.dirname(require.resolve('dictionary-tr')), 'index.dic');
+const turkishAnswers = new Set(readWords('tr', 'answers-5.json'));
+const turkishAllowed = new Set(
+  fs.readFileSync(turkishDictionary, 'utf8')
+    .split('\n')
+    .slice(1)
+    .map(line => line.split('/')[0].trim().normalize('NFC'))
+    .filter(word => /^[abcçdefgğhıijklmnoöprsştuüvyz]{5}$/.test(word) && !turkishAnswers.has(word))
+);
+writeWords('tr', 'allowed-5.json', TURKISH_SOURCE, [...turkishAllowed].sort((a, b) => a.localeCompare(b, 'tr')));
@@ -0,0 +1,274 @@
+// Stand-in for Redis when running several server instances on one machine
+// without installing it. Speaks enough of the Redis protocol for the state
+// store and the socket.io adapter: strings with expiry, hashes, sets and
+// pub/sub. Everything is kept in memory and lost when it stops.
+//
+//   node scripts/dev-state-store.js            (listens on 6379)
+//   DEV_STATE_STORE_PORT=6380 node scripts/dev-state-store.js
+const net = require('net');
+
+const PORT = parseInt(process.env.DEV_STATE_STORE_PORT) || 6379;
+
+// key -> { type: 'string' | 'hash' | 'set', value, expiresAt }. Keys, hash
+// fields and set members are strings; values keep their bytes.
+const data = new Map();
+// Subscribed connections by channel and by pattern
+const channels = new Map();
+const patterns = new Map();
+
+const OK = { status: 'OK' };
+
+function encode(reply) {
+  if (reply === null || reply === undefined) {
+    return Buffer.from('$-1\r\n');
+  }
+  if (reply instanceof Error) {
+    return Buffer.from(`-${reply.message}\r\n`);
+  }
+  if (typeof reply === 'number') {
+    return Buffer.from(`:${reply}\r\n`);
+  }
+  if (Array.isArray(reply)) {
+    return Buffer.concat([Buffer.from(`*${reply.length}\r\n`), ...reply.map(encode)]);
+  }
+  if (reply.status) {
+    return Buffer.from(`+${reply.status}\r\n`);
+  }
+  const value = Buffer.isBuffer(reply) ? reply : Buffer.from(String(reply));
+  return Buffer.concat([Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n')]);
+}
+
+// Parse the complete commands (arrays of bulk strings) at the front of a
+// buffer. Returns them with whatever is left over.
+function parseCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+
+  const readLine = () => {
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) {
+      return null;
+    }
+    const line = buffer.toString('utf8', offset, end);
+    offset = end + 2;
+    return line;
+  };
+
+  while (offset < buffer.length) {
+    const start = offset;
+    const header = readLine();
+    const count = header === null ? NaN : parseInt(header.slice(1));
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const line = readLine();
+      const length = line === null ? NaN : parseInt(line.slice(1));
+      if (Number.isNaN(length) || offset + length + 2 > buffer.length) {
+        break;
+      }
+      args.push(buffer.subarray(offset, offset + length));
+      offset += length + 2;
+    }
+    if (Number.isNaN(count) || args.length < count) {
+      return { commands, rest: buffer.subarray(start) };
+    }
+    commands.push(args);
+  }
+  return { commands, rest: Buffer.alloc(0) };
+}
+
+function getEntry(key, type) {
+  const entry = data.get(key);
+  if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+    data.delete(key);
+    return null;
+  }
+  if (entry && type && entry.type !== type) {
+    throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+  }
+  return entry || null;
+}
+
+function getOrCreate(key, type, create) {
+  if (!getEntry(key, type)) {
+    data.set(key, { type, value: create(), expiresAt: null });
+  }
+  return data.get(key).value;
+}
+
+function deleteIfEmpty(key, collection) {
+  if (collection.size === 0) {
+    data.delete(key);
+  }
+}
+
+// Glob match supporting * only, which is all the socket.io adapter uses
+function matchesPattern(pattern, channel) {
+  const parts = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${parts.join('.*')}$`).test(channel);
+}
+
+function subscriptionCount(connection) {
+  return connection.channels.size + connection.patterns.size;
+}
+
+function subscribe(connection, kind, names) {
+  const registry = kind === 'subscribe' ? channels : patterns;
+  const own = kind === 'subscribe' ? connection.channels : connection.patterns;
+  return names.map(name => {
+    if (!registry.has(name)) {
+      registry.set(name, new Set());
+    }
+    registry.get(name).add(connection);
+    own.add(name);
+    return [kind, name, subscriptionCount(connection)];
+  });
+}
+
+// With no names, drops every subscription of that kind
+function unsubscribe(connection, kind, names) {
+  const registry = kind === 'unsubscribe' ? channels : patterns;
+  const own = kind === 'unsubscribe' ? connection.channels : connection.patterns;
+  return (names.length > 0 ? names : [...own]).map(name => {
+    registry.get(name)?.delete(connection);
+    if (registry.get(name)?.size === 0) {
+      registry.delete(name);
+    }
+    own.delete(name);
+    return [kind, name, subscriptionCount(connection)];
+  });
+}
+
+function publish(channel, message) {
+  let receivers = 0;
+  channels.get(channel)?.forEach(connection => {
+    connection.socket.write(encode(['message', channel, message]));
+    receivers++;
+  });
+  patterns.forEach((connections, pattern) => {
+    if (matchesPattern(pattern, channel)) {
+      connections.forEach(connection => {
+        connection.socket.write(encode(['pmessage', pattern, channel, message]));
+        receivers++;
+      });
+    }
+  });
+  return receivers;
+}
+
+// Each command gets its arguments as Buffers and the client connection
+const COMMANDS = {
+  PING: () => ({ status: 'PONG' }),
+  CLIENT: () => OK,
+  SELECT: () => OK,
+  QUIT: () => OK,
+
+  GET: ([key]) => getEntry(String(key), 'string')?.value ?? null,
+  SET: ([key, value, ...options]) => {
+    const flags = options.map(option => String(option).toUpperCase());
+    if (flags.includes('NX') && getEntry(String(key))) {
+      return null;
+    }
+    const ttlIndex = flags.findIndex(flag => flag === 'PX' || flag === 'EX');
+    const ttlMs = ttlIndex === -1
+      ? null
+      : parseInt(options[ttlIndex + 1]) * (flags[ttlIndex] === 'EX' ? 1000 : 1);
+    data.set(String(key), { type: 'string', value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    return OK;
+  },
+  DEL: (keys) => keys.filter(key => getEntry(String(key)) && data.delete(String(key))).length,
+  EXISTS: (keys) => keys.filter(key => getEntry(String(key))).length,
+
+  HSET: ([key, ...pairs]) => {
+    const hash = getOrCreate(String(key), 'hash', () => new Map());
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      const field = String(pairs[i]);
+      added += hash.has(field) ? 0 : 1;
+      hash.set(field, pairs[i + 1]);
+    }
+    return added;
+  },
+  HGET: ([key, field]) => getEntry(String(key), 'hash')?.value.get(String(field)) ?? null,
+  HDEL: ([key, ...fields]) => {
+    const hash = getEntry(String(key), 'hash')?.value;
+    if (!hash) {
+      return 0;
+    }
+    const removed = fields.filter(field => hash.delete(String(field))).length;
+    deleteIfEmpty(String(key), hash);
+    return removed;
+  },
+  HGETALL: ([key]) => [...(getEntry(String(key), 'hash')?.value || [])].flat(),
+
+  SADD: ([key, ...members]) => {
+    const set = getOrCreate(String(key), 'set', () => new Set());
+    return members.map(String).filter(member => !set.has(member) && set.add(member)).length;
+  },
+  SREM: ([key, ...members]) => {
+    const set = getEntry(String(key), 'set')?.value;
+    if (!set) {
+      return 0;
+    }
+    const removed = members.filter(member => set.delete(String(member))).length;
+    deleteIfEmpty(String(key), set);
+    return removed;
+  },
+  SCARD: ([key]) => getEntry(String(key), 'set')?.value.size || 0,
+
+  PUBLISH: ([channel, message]) => publish(String(channel), message),
+  SUBSCRIBE: (names, connection) => subscribe(connection, 'subscribe', names.map(String)),
+  PSUBSCRIBE: (names, connection) => subscribe(connection, 'psubscribe', names.map(String)),
+  UNSUBSCRIBE: (names, connection) => unsubscribe(connection, 'unsubscribe', names.map(String)),
+  PUNSUBSCRIBE: (names, connection) => unsubscribe(connection, 'punsubscribe', names.map(String)),
+  PUBSUB: ([subcommand, ...names]) => {
+    if (String(subcommand).toUpperCase() !== 'NUMSUB') {
+      return new Error(`ERR unsupported PUBSUB subcommand ${subcommand}`);
+    }
+    return names.map(String).flatMap(name => [name, channels.get(name)?.size || 0]);
+  }
+};
+
+// These reply once per channel rather than with a single array
+const SUBSCRIPTION_COMMANDS = ['SUBSCRIBE', 'PSUBSCRIBE', 'UNSUBSCRIBE', 'PUNSUBSCRIBE'];
+
+const server = net.createServer((socket) => {
+  const connection = { socket, channels: new Set(), patterns: new Set() };
+  let pending = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    const { commands, rest } = parseCommands(Buffer.concat([pending, chunk]));
+    pending = rest;
+
+    commands.forEach(([rawName, ...args]) => {
+      const name = String(rawName).toUpperCase();
+      let reply;
+      try {
+        reply = COMMANDS[name]
+          ? COMMANDS[name](args, connection)
+          : new Error(`ERR unknown command '${name}'`);
+      } catch (error) {
+        reply = error;
+      }
+
+      if (SUBSCRIPTION_COMMANDS.includes(name) && Array.isArray(reply)) {
+        reply.forEach(part => socket.write(encode(part)));
+      } else {
+        socket.write(encode(reply));
+      }
+      if (name === 'QUIT') {
+        socket.end();
+      }
+    });
+  });
+
+  const cleanup = () => {
+    unsubscribe(connection, 'unsubscribe', []);
+    unsubscribe(connection, 'punsubscribe', []);
+  };
+  socket.on('close', cleanup);
+  socket.on('error', cleanup);
+});
+
+server.listen(PORT, () => {
+  console.log(`🗄️ Dev state store listening on port ${PORT}`);
+});
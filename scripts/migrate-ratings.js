@@ -0,0 +1,40 @@
+// One-off migration from the old ELO rating to Glicko-2. Each player's
+// existing rating is kept as their starting point; the deviation, volatility
+// and provisional flag are filled in so the leaderboard filter can use them.
+const { getRepository } = require('../src/storage');
+const { INITIAL_DEVIATION, MIGRATED_DEVIATION, getRating, isProvisional } = require('../src/rating/glicko2');
+
+async function migrateRatings() {
+  const repository = getRepository('playerStats');
+  const players = await repository.find();
+  let migrated = 0;
+
+  for (const stats of players) {
+    // Players rated under Glicko-2 since are left alone. Players migrated
+    // before with a provisional deviation are migrated again.
+    const hasHistory = stats.gamesPlayed > 0;
+    if (stats.lastRatedAt || (stats.ratingDeviation !== undefined && !hasHistory)) {
+      continue;
+    }
+
+    const { rating, ratingVolatility } = getRating(stats);
+    const ratingDeviation = hasHistory ? MIGRATED_DEVIATION : INITIAL_DEVIATION;
+    await repository.update(stats.userId, {
+      rating,
+      ratingDeviation,
+      ratingVolatility,
+      provisional: isProvisional(ratingDeviation),
+      lastRatedAt: null
+    });
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} of ${players.length} players to Glicko-2`);
+}
+
+migrateRatings()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Rating migration failed:', error);
+    process.exit(1);
+  });
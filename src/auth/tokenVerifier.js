@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const logger = require('../logging');
+require('dotenv').config();
+
+// Verifies Firebase ID tokens through firebase-admin. The config module is
+// required lazily so the test verifier works without Firebase credentials.
+function createFirebaseVerifier() {
+  return {
+    async verify(idToken) {
+      const { getAuth } = require('../config/firebase');
+      const decoded = await getAuth().verifyIdToken(idToken);
+      return { uid: decoded.uid, name: decoded.name };
+    }
+  };
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function signPart(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Sign a test token ({ sub, name, exp }) for local development and tests
+function signTestToken(payload, secret = process.env.AUTH_TEST_SECRET) {
+  if (!secret) {
+    throw new Error('AUTH_TEST_SECRET is not set');
+  }
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64UrlEncode(JSON.stringify(payload));
+  return `${header}.${body}.${signPart(`${header}.${body}`, secret)}`;
+}
+
+// Verifies HS256 tokens signed with a shared secret, without network access
+function createTestVerifier(secret = process.env.AUTH_TEST_SECRET) {
+  if (!secret) {
+    throw new Error('AUTH_TEST_SECRET is not set');
+  }
+
+  return {
+    async verify(idToken) {
+      const [header, body, signature] = String(idToken).split('.');
+      if (!header || !body || !signature) {
+        throw new Error('Malformed token');
+      }
+
+      const expected = Buffer.from(signPart(`${header}.${body}`, secret));
+      const actual = Buffer.from(signature);
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new Error('Invalid token signature');
+      }
+
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+      if (payload.exp && payload.exp * 1000 < Date.now()) {
+        throw new Error('Token expired');
+      }
+      if (!payload.sub) {
+        throw new Error('Token has no subject');
+      }
+
+      return { uid: payload.sub, name: payload.name };
+    }
+  };
+}
+
+function createDefaultVerifier() {
+  if (process.env.AUTH_VERIFIER === 'test') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The test token verifier cannot be used in production');
+    }
+    return createTestVerifier();
+  }
+  return createFirebaseVerifier();
+}
+
+let verifier = null;
+
+// Replace the verifier, e.g. with a test verifier in integration tests
+function setVerifier(newVerifier) {
+  verifier = newVerifier;
+}
+
+// Verify an ID token and return the authenticated user ({ uid, name })
+async function verifyIdToken(idToken) {
+  if (!idToken || typeof idToken !== 'string') {
+    throw new Error('Missing token');
+  }
+  if (!verifier) {
+    verifier = createDefaultVerifier();
+  }
+  return verifier.verify(idToken);
+}
+
+// Express middleware requiring an "Authorization: Bearer <token>" header
+async function requireAuth(req, res, next) {
+  const [scheme, idToken] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !idToken) {
+    return res.status(401).json({ error: 'Missing authorization token' });
+  }
+
+  try {
+    req.user = await verifyIdToken(idToken);
+    next();
+  } catch (error) {
+    logger.info('❌ Token verification failed', { reason: error.message, path: req.path });
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+module.exports = {
+  createFirebaseVerifier,
+  createTestVerifier,
+  signTestToken,
+  setVerifier,
+  verifyIdToken,
+  requireAuth
+};
@@ -1,16 +1,32 @@
 const admin = require('firebase-admin');
 require('dotenv').config();
 
-// Initialize Firebase Admin
-const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+// Firebase Admin is initialised on first use so the server can start without
+// credentials when it is configured to use local storage
+function initFirebase() {
+  if (admin.apps.length === 0) {
+    if (!process.env.FIREBASE_SERVICE_ACCOUNT) {
+      throw new Error('FIREBASE_SERVICE_ACCOUNT is not set');
+    }
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
-});
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount)
+    });
+  }
+  return admin;
+}
 
-const db = admin.firestore();
+function getDb() {
+  return initFirebase().firestore();
+}
+
+function getAuth() {
+  return initFirebase().auth();
+}
 
 module.exports = {
   admin,
-  db
-}; 
\ No newline at end of file
+  getDb,
+  getAuth
+};
@@ -0,0 +1,49 @@
+// Abandonments (not rejoining a live game before the reconnect grace window
+// runs out) are remembered for a day. Repeat offenders are kept out of
+// matchmaking for a while, longer the more games they abandon.
+const ABANDONMENT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Cooldown after the nth abandonment within the window; the last entry
+// applies to any further ones
+const COOLDOWN_STEPS_MS = [0, 5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000];
+
+// Abandonment times still inside the window, oldest first
+function getRecentAbandonments(timestamps = [], now = new Date()) {
+  return timestamps.filter(at => now - new Date(at) < ABANDONMENT_WINDOW_MS);
+}
+
+function getCooldownMs(recentCount) {
+  if (recentCount <= 0) {
+    return 0;
+  }
+  return COOLDOWN_STEPS_MS[Math.min(recentCount, COOLDOWN_STEPS_MS.length) - 1];
+}
+
+// Fields to store for a new abandonment: the lifetime count, the recent
+// timestamps and when the resulting cooldown ends (null for none)
+function recordAbandonment(stats, now = new Date()) {
+  const recentAbandonments = [...getRecentAbandonments(stats.recentAbandonments, now), now.toISOString()];
+  const cooldownMs = getCooldownMs(recentAbandonments.length);
+  return {
+    abandonments: (stats.abandonments || 0) + 1,
+    recentAbandonments,
+    matchmakingCooldownUntil: cooldownMs > 0
+      ? new Date(now.getTime() + cooldownMs).toISOString()
+      : null
+  };
+}
+
+// Milliseconds left on a player's matchmaking cooldown, 0 if there is none
+function getCooldownRemainingMs(stats, now = new Date()) {
+  if (!stats?.matchmakingCooldownUntil) {
+    return 0;
+  }
+  return Math.max(0, new Date(stats.matchmakingCooldownUntil) - now);
+}
+
+module.exports = {
+  ABANDONMENT_WINDOW_MS,
+  getCooldownMs,
+  recordAbandonment,
+  getCooldownRemainingMs
+};
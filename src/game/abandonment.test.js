@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ABANDONMENT_WINDOW_MS,
+  getCooldownMs,
+  recordAbandonment,
+  getCooldownRemainingMs
+} = require('./abandonment');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('abandonment cooldown', () => {
+  it('lets a first abandonment go without a cooldown', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const recorded = recordAbandonment({}, now);
+    assert.equal(recorded.abandonments, 1);
+    assert.deepEqual(recorded.recentAbandonments, [now.toISOString()]);
+    assert.equal(recorded.matchmakingCooldownUntil, null);
+  });
+
+  it('grows with each abandonment within the window, up to an hour', () => {
+    assert.deepEqual([1, 2, 3, 4, 9].map(getCooldownMs), [0, 5 * MINUTE_MS, 15 * MINUTE_MS, 60 * MINUTE_MS, 60 * MINUTE_MS]);
+  });
+
+  it('starts from the latest abandonment', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const earlier = new Date(now - 30 * MINUTE_MS).toISOString();
+    const recorded = recordAbandonment({ abandonments: 1, recentAbandonments: [earlier] }, now);
+    assert.equal(recorded.abandonments, 2);
+    assert.equal(recorded.matchmakingCooldownUntil, new Date(now.getTime() + 5 * MINUTE_MS).toISOString());
+  });
+
+  it('forgets abandonments older than the window', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const old = new Date(now - ABANDONMENT_WINDOW_MS - MINUTE_MS).toISOString();
+    const recorded = recordAbandonment({ abandonments: 3, recentAbandonments: [old, old] }, now);
+    assert.equal(recorded.abandonments, 4);
+    assert.deepEqual(recorded.recentAbandonments, [now.toISOString()]);
+    assert.equal(recorded.matchmakingCooldownUntil, null);
+  });
+
+  it('reports the time left until the cooldown ends', () => {
+    const stats = { matchmakingCooldownUntil: '2026-03-01T12:15:00Z' };
+    assert.equal(getCooldownRemainingMs(stats, new Date('2026-03-01T12:05:00Z')), 10 * MINUTE_MS);
+    assert.equal(getCooldownRemainingMs(stats, new Date('2026-03-01T12:20:00Z')), 0);
+    assert.equal(getCooldownRemainingMs({}, new Date()), 0);
+  });
+});
@@ -0,0 +1,31 @@
+// Build every player's board, including letters only for the players
+// showLetters accepts
+function buildBoard(room, showLetters) {
+  return room.players.map((playerId, index) => ({
+    playerId,
+    playerNumber: index + 1,
+    connected: !room.disconnectedPlayers?.has(playerId),
+    guesses: (room.guesses.get(playerId) || []).map(entry => (
+      showLetters(playerId)
+        ? { guess: entry.guess, feedback: entry.feedback }
+        : { feedback: entry.feedback }
+    ))
+  }));
+}
+
+// Snapshot of every player's board as seen by one viewer. The viewer gets
+// their own letters back; other players' rows only carry the colour pattern.
+function getBoardState(room, viewerId) {
+  return buildBoard(room, playerId => playerId === viewerId);
+}
+
+// Snapshot for spectators: colour patterns only until the game is over, so
+// the board can't be used to feed a player the answer
+function getSpectatorBoard(room) {
+  return buildBoard(room, () => room.status === 'finished');
+}
+
+module.exports = {
+  getBoardState,
+  getSpectatorBoard
+};
@@ -0,0 +1,93 @@
+const MAX_MESSAGE_LENGTH = 200;
+
+// Each socket may send this many messages in any rolling window
+const CHAT_RATE_LIMIT = { messages: 5, windowMs: 10 * 1000 };
+
+// Predefined reactions, the only chat quick match players get by default
+const QUICK_REACTIONS = {
+  gl: 'Good luck!',
+  gg: 'Good game!',
+  nice: 'Nice guess!',
+  wow: 'Wow!',
+  oops: 'Oops!',
+  thanks: 'Thanks!',
+  close: 'So close!',
+  rematch: 'Rematch?'
+};
+
+// Error codes returned to clients through the chatMessage acknowledgement
+const CHAT_ERRORS = {
+  NOT_IN_ROOM: 'Not a player in this room',
+  TEXT_DISABLED: 'Only quick reactions are allowed in this room',
+  EMPTY_MESSAGE: 'Message is empty',
+  MESSAGE_TOO_LONG: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`,
+  UNKNOWN_REACTION: 'Unknown reaction',
+  RATE_LIMITED: 'Slow down, you are sending messages too quickly'
+};
+
+// Words masked by the profanity filter, matched as whole words along with
+// common suffixes
+const BLOCKED_WORDS = [
+  'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit',
+  'crap', 'cunt', 'damn', 'dick', 'dickhead', 'fag', 'faggot', 'fuck', 'motherfucker',
+  'nigga', 'nigger', 'piss', 'prick', 'pussy', 'retard', 'shit', 'slut', 'twat',
+  'wanker', 'whore'
+];
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})(s|es|ed|er|ers|ing|y|ty|ter|ting)?\\b`, 'gi');
+
+function chatError(code) {
+  return { success: false, code, error: CHAT_ERRORS[code] };
+}
+
+// Replace blocked words with asterisks of the same length
+function filterProfanity(text) {
+  return text.replace(BLOCKED_PATTERN, match => '*'.repeat(match.length));
+}
+
+// Validate an incoming message, either { text } or { reaction }. Returns
+// { message } ready to send, or { errorCode }.
+function parseChatMessage({ text, reaction } = {}, allowText) {
+  if (reaction !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(QUICK_REACTIONS, reaction)) {
+      return { errorCode: 'UNKNOWN_REACTION' };
+    }
+    return { message: { reaction, text: QUICK_REACTIONS[reaction] } };
+  }
+
+  if (!allowText) {
+    return { errorCode: 'TEXT_DISABLED' };
+  }
+
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    return { errorCode: 'EMPTY_MESSAGE' };
+  }
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    return { errorCode: 'MESSAGE_TOO_LONG' };
+  }
+  return { message: { reaction: null, text: filterProfanity(trimmed) } };
+}
+
+// Record a send in a socket's timestamps, pruning old ones. Returns false if
+// the socket is over the limit, in which case nothing is recorded.
+function recordChatSend(timestamps, now = Date.now()) {
+  while (timestamps.length > 0 && now - timestamps[0] >= CHAT_RATE_LIMIT.windowMs) {
+    timestamps.shift();
+  }
+  if (timestamps.length >= CHAT_RATE_LIMIT.messages) {
+    return false;
+  }
+  timestamps.push(now);
+  return true;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  BLOCKED_WORDS,
+  QUICK_REACTIONS,
+  CHAT_ERRORS,
+  chatError,
+  filterProfanity,
+  parseChatMessage,
+  recordChatSend
+};
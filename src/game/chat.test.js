@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_MESSAGE_LENGTH, filterProfanity, parseChatMessage, recordChatSend } = require('./chat');
+
+describe('filterProfanity', () => {
+  it('masks blocked words and their suffixes with asterisks of the same length', () => {
+    assert.equal(filterProfanity('well shit, you fucking did it'), 'well ****, you ******* did it');
+  });
+
+  it('matches in any case', () => {
+    assert.equal(filterProfanity('SHIT'), '****');
+  });
+
+  it('leaves words that only contain a blocked word alone', () => {
+    assert.equal(filterProfanity('class assessment in Scunthorpe'), 'class assessment in Scunthorpe');
+  });
+});
+
+describe('parseChatMessage', () => {
+  it('expands quick reactions to their text', () => {
+    assert.deepEqual(parseChatMessage({ reaction: 'gg' }, false), { message: { reaction: 'gg', text: 'Good game!' } });
+  });
+
+  it('rejects unknown reactions', () => {
+    assert.deepEqual(parseChatMessage({ reaction: 'toString' }, true), { errorCode: 'UNKNOWN_REACTION' });
+  });
+
+  it('only allows text where the room allows it', () => {
+    assert.deepEqual(parseChatMessage({ text: 'hi' }, false), { errorCode: 'TEXT_DISABLED' });
+  });
+
+  it('trims and filters text', () => {
+    assert.deepEqual(parseChatMessage({ text: '  nice one  ' }, true), { message: { reaction: null, text: 'nice one' } });
+  });
+
+  it('rejects empty and overlong text', () => {
+    assert.deepEqual(parseChatMessage({ text: '   ' }, true), { errorCode: 'EMPTY_MESSAGE' });
+    assert.deepEqual(parseChatMessage({ text: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) }, true), { errorCode: 'MESSAGE_TOO_LONG' });
+  });
+});
+
+describe('recordChatSend', () => {
+  it('allows five messages in ten seconds', () => {
+    const timestamps = [];
+    const sent = [0, 1000, 2000, 3000, 4000, 5000].map(now => recordChatSend(timestamps, now));
+    assert.deepEqual(sent, [true, true, true, true, true, false]);
+  });
+
+  it('allows more once the oldest message leaves the window', () => {
+    const timestamps = [0, 1000, 2000, 3000, 4000];
+    assert.ok(recordChatSend(timestamps, 10000));
+    assert.deepEqual(timestamps, [1000, 2000, 3000, 4000, 10000]);
+  });
+});
@@ -0,0 +1,80 @@
+// Per-player game clocks. Players guess simultaneously, so every player's
+// clock runs from the start of the game until they finish their board.
+//   total:    limitMs for the whole game
+//   perGuess: limitMs for each guess, reset after every guess
+
+function startClocks(room, now = Date.now()) {
+  const { limitMs } = room.settings.timeControl;
+  room.clocks = new Map(room.players.map(playerId => [
+    playerId,
+    { remainingMs: limitMs, runningSince: now, flagged: false }
+  ]));
+}
+
+function getRemainingMs(clock, now = Date.now()) {
+  if (clock.runningSince === null) {
+    return clock.remainingMs;
+  }
+  return Math.max(0, clock.remainingMs - (now - clock.runningSince));
+}
+
+function stopClock(room, playerId, now = Date.now()) {
+  const clock = room.clocks?.get(playerId);
+  if (clock && clock.runningSince !== null) {
+    clock.remainingMs = getRemainingMs(clock, now);
+    clock.runningSince = null;
+  }
+}
+
+// Update a player's clock after a guess: stop it once they are done,
+// otherwise give a fresh allowance for per-guess time controls
+function recordGuessTime(room, playerId, isFinished, now = Date.now()) {
+  const clock = room.clocks?.get(playerId);
+  if (!clock) {
+    return;
+  }
+
+  if (isFinished) {
+    stopClock(room, playerId, now);
+  } else if (room.settings.timeControl.type === 'perGuess') {
+    clock.remainingMs = room.settings.timeControl.limitMs;
+    clock.runningSince = now;
+  }
+}
+
+function flagPlayer(room, playerId, now = Date.now()) {
+  stopClock(room, playerId, now);
+  const clock = room.clocks.get(playerId);
+  clock.remainingMs = 0;
+  clock.flagged = true;
+}
+
+function isFlagged(room, playerId) {
+  return room.clocks?.get(playerId)?.flagged || false;
+}
+
+// Payload for clockUpdate events
+function getClockSnapshot(room, now = Date.now()) {
+  const clocks = {};
+  room.clocks.forEach((clock, playerId) => {
+    clocks[playerId] = {
+      remainingMs: getRemainingMs(clock, now),
+      running: clock.runningSince !== null,
+      flagged: clock.flagged
+    };
+  });
+  return {
+    timeControl: room.settings.timeControl,
+    clocks
+  };
+}
+
+module.exports = {
+  startClocks,
+  getRemainingMs,
+  stopClock,
+  recordGuessTime,
+  flagPlayer,
+  isFlagged,
+  getClockSnapshot
+};
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startClocks,
+  getRemainingMs,
+  stopClock,
+  recordGuessTime,
+  flagPlayer,
+  isFlagged,
+  getClockSnapshot
+} = require('./clock');
+const { getGameResult } = require('./gameResults');
+
+function createTimedRoom(type, limitMs, now = 0) {
+  const room = {
+    players: ['a', 'b'],
+    targetWord: 'CRANE',
+    guesses: new Map(),
+    settings: { maxAttempts: 6, maxPlayers: 2, timeControl: { type, limitMs } }
+  };
+  startClocks(room, now);
+  return room;
+}
+
+describe('game clocks', () => {
+  it('count down from the limit while running', () => {
+    const room = createTimedRoom('total', 60000);
+    assert.equal(getRemainingMs(room.clocks.get('a'), 15000), 45000);
+    assert.equal(getRemainingMs(room.clocks.get('a'), 90000), 0);
+  });
+
+  it('keep the time left once stopped', () => {
+    const room = createTimedRoom('total', 60000);
+    stopClock(room, 'a', 20000);
+    assert.equal(getRemainingMs(room.clocks.get('a'), 50000), 40000);
+  });
+
+  it('reset per-guess clocks after each guess and stop them when the board is finished', () => {
+    const room = createTimedRoom('perGuess', 30000);
+    recordGuessTime(room, 'a', false, 25000);
+    assert.equal(getRemainingMs(room.clocks.get('a'), 40000), 15000);
+    recordGuessTime(room, 'a', true, 41000);
+    assert.equal(room.clocks.get('a').runningSince, null);
+  });
+
+  it('do not reset total clocks after a guess', () => {
+    const room = createTimedRoom('total', 60000);
+    recordGuessTime(room, 'a', false, 25000);
+    assert.equal(getRemainingMs(room.clocks.get('a'), 30000), 30000);
+  });
+});
+
+describe('flagging', () => {
+  it('stops the clock at zero', () => {
+    const room = createTimedRoom('total', 60000);
+    flagPlayer(room, 'a', 60000);
+    assert.ok(isFlagged(room, 'a'));
+    assert.deepEqual(getClockSnapshot(room, 70000).clocks.a, { remainingMs: 0, running: false, flagged: true });
+  });
+
+  it('loses a two-player game for the flagged player', () => {
+    const room = createTimedRoom('total', 60000);
+    room.guesses.set('b', [{ guess: 'SLATE', at: new Date(0).toISOString() }]);
+    flagPlayer(room, 'a', 60000);
+    assert.equal(getGameResult(room).winner, 'b');
+  });
+
+  it('leaves the game undecided while both players still have time', () => {
+    const room = createTimedRoom('total', 60000);
+    assert.equal(getGameResult(room), null);
+  });
+});
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { getWordList } = require('../utils/wordUtils');
+const logger = require('../logging');
+require('dotenv').config();
+
+// Day 0 of the daily challenge sequence
+const DAILY_EPOCH = Date.UTC(2025, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The shuffle is keyed with DAILY_SECRET so the word list alone does not give
+// away future words. Every instance needs the same secret.
+const DAILY_SECRET = process.env.DAILY_SECRET || getFallbackSecret();
+
+let dailyOrder = null;
+
+function getFallbackSecret() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('DAILY_SECRET must be set in production');
+  }
+  logger.warn('DAILY_SECRET is not set, daily words are random until the server restarts');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Numbers in [0, 1) drawn from an HMAC of the secret and a counter, the same
+// on every server with the same secret
+function keyedRandom(secret) {
+  let counter = 0;
+  return () => {
+    const digest = crypto.createHmac('sha256', secret).update(String(counter++)).digest();
+    return digest.readUInt32BE(0) / 4294967296;
+  };
+}
+
+// The word list in a fixed shuffled order, so consecutive days do not walk
+// through the list alphabetically and no word repeats until it wraps around
+function getDailyOrder() {
+  if (!dailyOrder) {
+    const random = keyedRandom(DAILY_SECRET);
+    dailyOrder = [...getWordList(5)];
+    for (let i = dailyOrder.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [dailyOrder[i], dailyOrder[j]] = [dailyOrder[j], dailyOrder[i]];
+    }
+  }
+  return dailyOrder;
+}
+
+// UTC day as YYYY-MM-DD
+function getDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function getPreviousDayKey(dayKey) {
+  return getDayKey(new Date(Date.parse(dayKey) - DAY_MS));
+}
+
+function isValidDayKey(dayKey) {
+  return typeof dayKey === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(dayKey) &&
+    !Number.isNaN(Date.parse(dayKey));
+}
+
+// The word everyone plays on a given UTC day
+function getDailyWord(dayKey = getDayKey()) {
+  const order = getDailyOrder();
+  const dayNumber = Math.floor((Date.parse(dayKey) - DAILY_EPOCH) / DAY_MS);
+  const index = ((dayNumber % order.length) + order.length) % order.length;
+  return order[index].toUpperCase();
+}
+
+module.exports = {
+  getDayKey,
+  getPreviousDayKey,
+  isValidDayKey,
+  getDailyWord
+};
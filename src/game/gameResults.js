@@ -0,0 +1,239 @@
+const { isFlagged } = require('./clock');
+
+// Whether any of a player's recorded guesses matched the target word
+function hasSolved(guesses, targetWord) {
+  return guesses.some(entry => entry.guess === targetWord);
+}
+
+// Number of guesses each seated player has made
+function getGuessesUsed(room) {
+  const guessesUsed = {};
+  room.players.forEach(playerId => {
+    guessesUsed[playerId] = (room.guesses.get(playerId) || []).length;
+  });
+  return guessesUsed;
+}
+
+// Time from the start of the game to the guess that solved it, or null
+function getSolveTimeMs(room, playerId) {
+  const solvingGuess = (room.guesses.get(playerId) || [])
+    .find(entry => entry.guess === room.targetWord);
+  if (!solvingGuess) {
+    return null;
+  }
+  return new Date(solvingGuess.at) - (room.startedAt || room.createdAt);
+}
+
+function getSolveTimes(room) {
+  const solveTimesMs = {};
+  room.players.forEach(playerId => {
+    solveTimesMs[playerId] = getSolveTimeMs(room, playerId);
+  });
+  return solveTimesMs;
+}
+
+// Where a player's board stands for ranking purposes
+function getPlayerOutcome(room, playerId) {
+  const guesses = room.guesses.get(playerId) || [];
+  const solved = hasSolved(guesses, room.targetWord);
+  // Out of time, or forfeited in a multiplayer room
+  const eliminated = isFlagged(room, playerId) || Boolean(room.forfeited?.has(playerId));
+  return {
+    playerId,
+    solved,
+    eliminated,
+    guessesUsed: guesses.length,
+    solveTimeMs: solved ? getSolveTimeMs(room, playerId) : null,
+    finished: solved || eliminated || guesses.length >= room.settings.maxAttempts
+  };
+}
+
+// Negative if outcome a places ahead of b, 0 if they are level. Running out
+// of time or forfeiting always loses; otherwise solvers beat non-solvers, then
+// fewer guesses wins and solve time breaks ties.
+function compareOutcomes(a, b) {
+  if (a.eliminated !== b.eliminated) {
+    return a.eliminated ? 1 : -1;
+  }
+  if (a.solved !== b.solved) {
+    return a.solved ? -1 : 1;
+  }
+  if (!a.solved) {
+    return 0;
+  }
+  if (a.guessesUsed !== b.guessesUsed) {
+    return a.guessesUsed - b.guessesUsed;
+  }
+  return a.solveTimeMs - b.solveTimeMs;
+}
+
+// Whether a player still playing can yet place ahead of a finished one. Any
+// future solve is slower, so it has to take strictly fewer guesses.
+function canStillOvertake(playing, finished) {
+  if (finished.eliminated || !finished.solved) {
+    return true;
+  }
+  return playing.guessesUsed + 1 < finished.guessesUsed;
+}
+
+// Timed games are played to the end of both boards and ranked, so a slower
+// solve in fewer guesses still wins. Returns null while undecided.
+function getTimedGameResult(room) {
+  const outcomes = room.players.map(playerId => getPlayerOutcome(room, playerId));
+  const finished = outcomes.filter(outcome => outcome.finished);
+  const playing = outcomes.filter(outcome => !outcome.finished);
+
+  let winner = null;
+  if (playing.length === 0) {
+    const [first, second] = [...outcomes].sort(compareOutcomes);
+    if (!second || compareOutcomes(first, second) < 0) {
+      winner = first.playerId;
+    }
+  } else if (playing.length === 1 && finished.length === 1) {
+    const [done] = finished;
+    const [other] = playing;
+    if (done.eliminated) {
+      winner = other.playerId;
+    } else if (done.solved && !canStillOvertake(other, done)) {
+      winner = done.playerId;
+    } else {
+      return null;
+    }
+  } else {
+    return null;
+  }
+
+  return {
+    winner,
+    isDraw: winner === null,
+    guessesUsed: getGuessesUsed(room),
+    solveTimesMs: getSolveTimes(room),
+    placements: getWinnerPlacements(room, winner)
+  };
+}
+
+// Placements for a two-player result: 1 for the winner and 2 for the loser,
+// or 1 for both players in a draw
+function getWinnerPlacements(room, winner) {
+  const placements = {};
+  room.players.forEach(playerId => {
+    placements[playerId] = !winner || playerId === winner ? 1 : 2;
+  });
+  return placements;
+}
+
+// Finishing places for every player, level players sharing a place
+function getPlacements(outcomes) {
+  const ranked = [...outcomes].sort(compareOutcomes);
+  const placements = {};
+  ranked.forEach((outcome, index) => {
+    const previous = ranked[index - 1];
+    placements[outcome.playerId] = previous && compareOutcomes(previous, outcome) === 0
+      ? placements[previous.playerId]
+      : index + 1;
+  });
+  return placements;
+}
+
+// Rooms of more than two players play until every board is finished and are
+// ranked by finishing place. Returns null while anyone is still playing.
+function getMultiplayerResult(room) {
+  const outcomes = room.players.map(playerId => getPlayerOutcome(room, playerId));
+  if (!outcomes.every(outcome => outcome.finished)) {
+    return null;
+  }
+
+  const placements = getPlacements(outcomes);
+  const leaders = room.players.filter(playerId => placements[playerId] === 1);
+  const winner = leaders.length === 1 ? leaders[0] : null;
+
+  return {
+    winner,
+    isDraw: winner === null,
+    guessesUsed: getGuessesUsed(room),
+    solveTimesMs: getSolveTimes(room),
+    placements
+  };
+}
+
+// Score for player a against player b from their placements: 1 for finishing
+// ahead, 0.5 for level and 0 for behind
+function getPairwiseScore(result, a, b) {
+  const placeA = result.placements[a];
+  const placeB = result.placements[b];
+  if (placeA === placeB) {
+    return 0.5;
+  }
+  return placeA < placeB ? 1 : 0;
+}
+
+function isMultiplayerRoom(room) {
+  return room.settings.maxPlayers > 2;
+}
+
+// Derive the outcome of a game from the guesses the server has recorded.
+// Returns null while the game is still undecided.
+function getGameResult(room) {
+  if (isMultiplayerRoom(room)) {
+    return getMultiplayerResult(room);
+  }
+
+  if (room.settings.timeControl) {
+    return getTimedGameResult(room);
+  }
+
+  const guessesUsed = getGuessesUsed(room);
+
+  // The first player to solve ends the game, so at most one can have solved
+  const winner = room.players.find(playerId =>
+    hasSolved(room.guesses.get(playerId) || [], room.targetWord)
+  );
+  if (winner) {
+    return {
+      winner,
+      isDraw: false,
+      guessesUsed,
+      solveTimesMs: getSolveTimes(room),
+      placements: getWinnerPlacements(room, winner)
+    };
+  }
+
+  const allOutOfAttempts = room.players.every(playerId => guessesUsed[playerId] >= room.settings.maxAttempts);
+  if (allOutOfAttempts) {
+    return {
+      winner: null,
+      isDraw: true,
+      guessesUsed,
+      solveTimesMs: getSolveTimes(room),
+      placements: getWinnerPlacements(room, null)
+    };
+  }
+
+  return null;
+}
+
+// Result for a two-player game a player forfeited: the remaining player wins.
+// reason is 'resigned', 'abandoned' or 'left'.
+function getForfeitResult(room, forfeitedBy, reason) {
+  const winner = room.players.find(playerId => playerId !== forfeitedBy) || null;
+  return {
+    winner,
+    isDraw: false,
+    guessesUsed: getGuessesUsed(room),
+    solveTimesMs: getSolveTimes(room),
+    placements: getWinnerPlacements(room, winner),
+    forfeitedBy,
+    forfeitReason: reason
+  };
+}
+
+module.exports = {
+  hasSolved,
+  getGuessesUsed,
+  getPlayerOutcome,
+  compareOutcomes,
+  getPairwiseScore,
+  isMultiplayerRoom,
+  getGameResult,
+  getForfeitResult
+};
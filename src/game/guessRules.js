@@ -0,0 +1,126 @@
+const { isValidWord, isInAlphabet, normalizeWord } = require('../utils/wordUtils');
+const { getRemainingMs } = require('./clock');
+
+const MAX_ATTEMPTS = 6;
+
+// Error codes returned to clients through the makeGuess acknowledgement
+const GUESS_ERRORS = {
+  NOT_IN_ROOM: 'Not a player in this room',
+  GAME_NOT_ACTIVE: 'Game is not in progress',
+  INVALID_GUESS: 'Guess must be a word',
+  WRONG_LENGTH: 'Guess has the wrong number of letters',
+  NOT_IN_WORD_LIST: 'Not in word list',
+  DUPLICATE_GUESS: 'Word already guessed',
+  NO_ATTEMPTS_LEFT: 'No attempts left',
+  HARD_MODE_VIOLATION: 'Hard mode: revealed hints must be used',
+  ALREADY_SOLVED: 'You already solved the word',
+  OUT_OF_TIME: 'Your clock has run out',
+  FORFEITED: 'You have forfeited this game'
+};
+
+// Build the error object sent back through the acknowledgement callback
+function guessError(code) {
+  return { success: false, code, error: GUESS_ERRORS[code] };
+}
+
+// Hard mode: every letter revealed as correct must stay in its position and
+// every letter revealed as present must be used again. The guess must already
+// be upper-cased for its language.
+function followsHardMode(guess, previousGuesses) {
+  const letters = guess.split('');
+
+  return previousGuesses.every(({ guess: previous, feedback }) => {
+    const remaining = [...letters];
+
+    for (let index = 0; index < feedback.length; index++) {
+      if (feedback[index] === 'correct') {
+        if (letters[index] !== previous[index]) {
+          return false;
+        }
+        remaining[index] = null;
+      }
+    }
+
+    for (let index = 0; index < feedback.length; index++) {
+      if (feedback[index] === 'present') {
+        const match = remaining.indexOf(previous[index]);
+        if (match === -1) {
+          return false;
+        }
+        remaining[match] = null;
+      }
+    }
+
+    return true;
+  });
+}
+
+// Check a guess word against a board: its target word and the guesses already
+// made. The word list and letters come from the settings' language. Returns an
+// error code, or null if the guess may be scored.
+function validateGuessWord(guess, targetWord, previousGuesses, { maxAttempts = MAX_ATTEMPTS, hardMode = false, language } = {}) {
+  if (typeof guess !== 'string' || guess.length === 0 || !isInAlphabet(guess, language)) {
+    return 'INVALID_GUESS';
+  }
+
+  const normalizedGuess = normalizeWord(guess, language);
+  if (normalizedGuess.length !== targetWord.length) {
+    return 'WRONG_LENGTH';
+  }
+
+  if (previousGuesses.length >= maxAttempts) {
+    return 'NO_ATTEMPTS_LEFT';
+  }
+
+  if (!isValidWord(guess, language)) {
+    return 'NOT_IN_WORD_LIST';
+  }
+
+  if (previousGuesses.some(entry => entry.guess === normalizedGuess)) {
+    return 'DUPLICATE_GUESS';
+  }
+
+  if (hardMode && !followsHardMode(normalizedGuess, previousGuesses)) {
+    return 'HARD_MODE_VIOLATION';
+  }
+
+  return null;
+}
+
+// Check a guess against the room rules. Returns an error code, or null if the
+// guess may be scored.
+function validateGuess(room, playerId, guess) {
+  if (!room.players.includes(playerId)) {
+    return 'NOT_IN_ROOM';
+  }
+
+  if (room.status !== 'playing') {
+    return 'GAME_NOT_ACTIVE';
+  }
+
+  if (room.forfeited?.has(playerId)) {
+    return 'FORFEITED';
+  }
+
+  // In timed games the room keeps playing after a player finishes their board
+  const clock = room.clocks?.get(playerId);
+  if (clock && (clock.flagged || getRemainingMs(clock) === 0)) {
+    return 'OUT_OF_TIME';
+  }
+
+  const previousGuesses = room.guesses.get(playerId) || [];
+  if (previousGuesses.some(entry => entry.guess === room.targetWord)) {
+    return 'ALREADY_SOLVED';
+  }
+
+  return validateGuessWord(guess, room.targetWord, room.guesses.get(playerId) || [], room.settings);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  GUESS_ERRORS,
+  guessError,
+  followsHardMode,
+  validateGuessWord,
+  validateGuess
+};
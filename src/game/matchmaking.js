@@ -0,0 +1,92 @@
+// Rating band players are matched within. It starts narrow and widens the
+// longer a player waits so nobody is stuck in the queue forever.
+const SEARCH_BAND = {
+  initial: 100,
+  step: 50,
+  stepMs: 10 * 1000,
+  max: 800
+};
+
+// Recent time-to-match samples used for the wait estimate
+const MAX_WAIT_SAMPLES = 20;
+const recentWaits = [];
+
+// Rating distance accepted for a player who has waited waitMs
+function getSearchBand(waitMs) {
+  const steps = Math.floor(Math.max(0, waitMs) / SEARCH_BAND.stepMs);
+  return Math.min(SEARCH_BAND.initial + steps * SEARCH_BAND.step, SEARCH_BAND.max);
+}
+
+// Two entries match when their ratings are within the wider of their bands,
+// so a long-waiting player can be paired with a newcomer
+function isWithinBand(entryA, entryB, now) {
+  const ratingGap = Math.abs(entryA.rating - entryB.rating);
+  const band = Math.max(
+    getSearchBand(now - entryA.joinedAt),
+    getSearchBand(now - entryB.joinedAt)
+  );
+  return ratingGap <= band;
+}
+
+// Each language has its own queue, kept in one list
+function isSameQueue(entryA, entryB) {
+  return entryA.language === entryB.language;
+}
+
+// Find the first pair of queue entries that can be matched, favouring the
+// players who have waited longest. Returns null when nobody fits.
+function findMatch(queue, now = Date.now()) {
+  for (let i = 0; i < queue.length; i++) {
+    for (let j = i + 1; j < queue.length; j++) {
+      if (queue[i].userId !== queue[j].userId && isSameQueue(queue[i], queue[j]) &&
+          isWithinBand(queue[i], queue[j], now)) {
+        return [queue[i], queue[j]];
+      }
+    }
+  }
+  return null;
+}
+
+function recordMatchWait(waitMs) {
+  recentWaits.push(waitMs);
+  if (recentWaits.length > MAX_WAIT_SAMPLES) {
+    recentWaits.shift();
+  }
+}
+
+// Estimated time until a match based on recent waits, or null without data
+function estimateRemainingWait(waitedMs) {
+  if (recentWaits.length === 0) {
+    return null;
+  }
+  const averageWait = recentWaits.reduce((sum, wait) => sum + wait, 0) / recentWaits.length;
+  return Math.max(0, Math.round(averageWait - waitedMs));
+}
+
+// Status payload sent to a player still searching, placed within the queue
+// for their language
+function getQueueStatus(queue, entry, now = Date.now()) {
+  const waitedMs = now - entry.joinedAt;
+  const band = getSearchBand(waitedMs);
+  const languageQueue = queue.filter(other => isSameQueue(other, entry));
+  return {
+    language: entry.language,
+    position: languageQueue.indexOf(entry) + 1,
+    queueLength: languageQueue.length,
+    rating: entry.rating,
+    searchBand: {
+      min: entry.rating - band,
+      max: entry.rating + band
+    },
+    waitedMs,
+    estimatedWaitMs: estimateRemainingWait(waitedMs)
+  };
+}
+
+module.exports = {
+  SEARCH_BAND,
+  getSearchBand,
+  findMatch,
+  recordMatchWait,
+  getQueueStatus
+};
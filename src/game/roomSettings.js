@@ -0,0 +1,116 @@
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, getWordLengths } = require('../utils/wordPacks');
+const { MAX_ATTEMPTS } = require('./guessRules');
+
+const DEFAULT_SETTINGS = {
+  language: DEFAULT_LANGUAGE,
+  wordLength: 5,
+  maxAttempts: MAX_ATTEMPTS,
+  hardMode: false,
+  timeControl: null,
+  maxPlayers: 2
+};
+
+// Quick matches are played on a three minute clock
+const QUICK_MATCH_SETTINGS = {
+  ...DEFAULT_SETTINGS,
+  timeControl: { type: 'total', limitMs: 3 * 60 * 1000 }
+};
+
+const ATTEMPT_LIMITS = { min: 3, max: 10 };
+const PLAYER_LIMITS = { min: 2, max: 8 };
+
+// Allowed clock lengths per time control type
+const TIME_CONTROL_LIMITS = {
+  total: { min: 30 * 1000, max: 30 * 60 * 1000 },
+  perGuess: { min: 10 * 1000, max: 5 * 60 * 1000 }
+};
+
+// Validate a { type, limitMs } time control. Returns an error message or null.
+function validateTimeControl(timeControl) {
+  if (typeof timeControl !== 'object' || Array.isArray(timeControl)) {
+    return 'Time control must be an object';
+  }
+
+  const limits = TIME_CONTROL_LIMITS[timeControl.type];
+  if (!limits) {
+    return `Time control type must be one of ${Object.keys(TIME_CONTROL_LIMITS).join(', ')}`;
+  }
+
+  if (!Number.isInteger(timeControl.limitMs) ||
+      timeControl.limitMs < limits.min || timeControl.limitMs > limits.max) {
+    return `Time limit must be between ${limits.min} and ${limits.max} ms`;
+  }
+
+  return null;
+}
+
+// Validate settings sent with createRoom, filling in defaults for anything
+// left out. Returns { settings } or { error }.
+function parseRoomSettings(input = {}) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'Settings must be an object' };
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+
+  if (input.language !== undefined) {
+    if (!SUPPORTED_LANGUAGES.includes(input.language)) {
+      return { error: `Language must be one of ${SUPPORTED_LANGUAGES.join(', ')}` };
+    }
+    settings.language = input.language;
+  }
+
+  // Word lengths depend on the language's word pack
+  const wordLengths = getWordLengths(settings.language);
+  if (input.wordLength !== undefined) {
+    if (!wordLengths.includes(input.wordLength)) {
+      return { error: `Word length must be one of ${wordLengths.join(', ')}` };
+    }
+    settings.wordLength = input.wordLength;
+  }
+
+  if (input.maxAttempts !== undefined) {
+    if (!Number.isInteger(input.maxAttempts) ||
+        input.maxAttempts < ATTEMPT_LIMITS.min || input.maxAttempts > ATTEMPT_LIMITS.max) {
+      return { error: `Max attempts must be between ${ATTEMPT_LIMITS.min} and ${ATTEMPT_LIMITS.max}` };
+    }
+    settings.maxAttempts = input.maxAttempts;
+  }
+
+  if (input.hardMode !== undefined) {
+    if (typeof input.hardMode !== 'boolean') {
+      return { error: 'Hard mode must be true or false' };
+    }
+    settings.hardMode = input.hardMode;
+  }
+
+  if (input.maxPlayers !== undefined) {
+    if (!Number.isInteger(input.maxPlayers) ||
+        input.maxPlayers < PLAYER_LIMITS.min || input.maxPlayers > PLAYER_LIMITS.max) {
+      return { error: `Max players must be between ${PLAYER_LIMITS.min} and ${PLAYER_LIMITS.max}` };
+    }
+    settings.maxPlayers = input.maxPlayers;
+  }
+
+  if (input.timeControl !== undefined && input.timeControl !== null) {
+    const error = validateTimeControl(input.timeControl);
+    if (error) {
+      return { error };
+    }
+    settings.timeControl = {
+      type: input.timeControl.type,
+      limitMs: input.timeControl.limitMs
+    };
+  }
+
+  return { settings };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  QUICK_MATCH_SETTINGS,
+  ATTEMPT_LIMITS,
+  PLAYER_LIMITS,
+  TIME_CONTROL_LIMITS,
+  parseRoomSettings
+};
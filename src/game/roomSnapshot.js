@@ -0,0 +1,107 @@
+const { getRemainingMs } = require('./clock');
+
+// Rooms are saved as plain JSON when the server shuts down and restored when
+// it starts again. Maps become objects and Sets arrays, so snapshots hold no
+// nested arrays and can be stored in Firestore. Timers, spectators and
+// disconnected seats are not saved; the server sets them up again.
+
+function mapToObject(map, convert = value => value) {
+  const object = {};
+  (map || new Map()).forEach((value, key) => {
+    object[key] = convert(value);
+  });
+  return object;
+}
+
+function objectToMap(object, convert = value => value) {
+  return new Map(Object.entries(object || {}).map(([key, value]) => [key, convert(value)]));
+}
+
+function toDate(value) {
+  return value ? new Date(value) : undefined;
+}
+
+// Plain snapshot of an unfinished room. Clocks and the tournament no-show
+// window are saved as the time they have left, so time the server is down
+// is not counted against anyone.
+function createRoomSnapshot(roomCode, room, now = Date.now()) {
+  return {
+    roomCode,
+    gameId: room.gameId,
+    mode: room.mode,
+    hostId: room.hostId || null,
+    players: [...room.players],
+    settings: room.settings,
+    targetWord: room.targetWord,
+    status: room.status,
+    isQuickMatch: room.isQuickMatch,
+    createdAt: room.createdAt.toISOString(),
+    startedAt: room.startedAt ? room.startedAt.toISOString() : null,
+    userIds: mapToObject(room.userIds, userId => userId || null),
+    guesses: mapToObject(room.guesses),
+    forfeited: [...(room.forfeited || [])],
+    mutes: mapToObject(room.mutes, muted => [...muted]),
+    clocks: room.clocks
+      ? mapToObject(room.clocks, clock => ({
+        remainingMs: getRemainingMs(clock, now),
+        running: clock.runningSince !== null,
+        flagged: clock.flagged
+      }))
+      : null,
+    series: room.series || null,
+    bot: room.bot ? { playerId: room.bot.playerId, level: room.bot.level } : null,
+    tournament: room.tournament || null,
+    noShowMs: room.noShowAt ? Math.max(room.noShowAt - now, 0) : null,
+    savedAt: new Date(now).toISOString()
+  };
+}
+
+// Room from a snapshot, with running clocks restarted from now
+function restoreRoomSnapshot(snapshot, now = Date.now()) {
+  const room = {
+    gameId: snapshot.gameId,
+    mode: snapshot.mode,
+    players: [...snapshot.players],
+    settings: snapshot.settings,
+    targetWord: snapshot.targetWord,
+    status: snapshot.status,
+    guesses: objectToMap(snapshot.guesses),
+    createdAt: toDate(snapshot.createdAt),
+    startedAt: toDate(snapshot.startedAt),
+    isQuickMatch: snapshot.isQuickMatch,
+    disconnectedPlayers: new Map(),
+    forfeited: new Set(snapshot.forfeited),
+    spectators: new Set(),
+    userIds: objectToMap(snapshot.userIds),
+    mutes: objectToMap(snapshot.mutes, muted => new Set(muted))
+  };
+
+  if (snapshot.hostId) {
+    room.hostId = snapshot.hostId;
+  }
+  if (snapshot.clocks) {
+    room.clocks = objectToMap(snapshot.clocks, clock => ({
+      remainingMs: clock.remainingMs,
+      runningSince: clock.running ? now : null,
+      flagged: clock.flagged
+    }));
+  }
+  if (snapshot.series) {
+    room.series = snapshot.series;
+  }
+  if (snapshot.bot) {
+    room.bot = { ...snapshot.bot, timer: null };
+  }
+  if (snapshot.tournament) {
+    room.tournament = snapshot.tournament;
+  }
+  if (snapshot.noShowMs !== null && snapshot.noShowMs !== undefined) {
+    room.noShowAt = now + snapshot.noShowMs;
+  }
+  return { roomCode: snapshot.roomCode, room };
+}
+
+module.exports = {
+  createRoomSnapshot,
+  restoreRoomSnapshot
+};
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoomSnapshot, restoreRoomSnapshot } = require('./roomSnapshot');
+
+function createPlayingRoom(now) {
+  return {
+    gameId: 'game-1',
+    mode: 'private',
+    hostId: 'a',
+    players: ['a', 'b'],
+    settings: { language: 'en', wordLength: 5, maxAttempts: 6, hardMode: false, maxPlayers: 2, timeControl: { type: 'total', limitMs: 180000 } },
+    targetWord: 'CRANE',
+    status: 'playing',
+    isQuickMatch: false,
+    createdAt: new Date(now - 60000),
+    startedAt: new Date(now - 50000),
+    userIds: new Map([['a', 'user-a'], ['b', 'user-b']]),
+    guesses: new Map([['a', [{ guess: 'SLATE', feedback: ['absent', 'absent', 'correct', 'absent', 'correct'], at: new Date(now - 20000).toISOString() }]]]),
+    forfeited: new Set(),
+    mutes: new Map([['b', new Set(['a'])]]),
+    clocks: new Map([
+      ['a', { remainingMs: 180000, runningSince: now - 50000, flagged: false }],
+      ['b', { remainingMs: 90000, runningSince: null, flagged: false }]
+    ]),
+    series: { bestOf: 3, gamesPlayed: 1, wins: [1, 0], draws: 0 },
+    disconnectedPlayers: new Map([['b', { userId: 'user-b', timer: null }]]),
+    spectators: new Set(['watcher'])
+  };
+}
+
+describe('room snapshots', () => {
+  it('survive a JSON round trip with their maps, sets and dates', () => {
+    const now = Date.parse('2026-06-01T12:00:00Z');
+    const room = createPlayingRoom(now);
+    const snapshot = JSON.parse(JSON.stringify(createRoomSnapshot('ABC123', room, now)));
+    const { roomCode, room: restored } = restoreRoomSnapshot(snapshot, now + 30000);
+
+    assert.equal(roomCode, 'ABC123');
+    assert.deepEqual(restored.userIds, room.userIds);
+    assert.deepEqual(restored.guesses, room.guesses);
+    assert.deepEqual(restored.mutes, room.mutes);
+    assert.deepEqual(restored.forfeited, room.forfeited);
+    assert.deepEqual(restored.createdAt, room.createdAt);
+    assert.deepEqual(restored.startedAt, room.startedAt);
+    assert.deepEqual(restored.series, room.series);
+    for (const field of ['gameId', 'mode', 'hostId', 'targetWord', 'status', 'isQuickMatch', 'settings', 'players']) {
+      assert.deepEqual(restored[field], room[field], field);
+    }
+  });
+
+  it('pause clocks while the room is saved', () => {
+    const now = Date.parse('2026-06-01T12:00:00Z');
+    const snapshot = createRoomSnapshot('ABC123', createPlayingRoom(now), now);
+    const restoredAt = now + 10 * 60000;
+    const { room } = restoreRoomSnapshot(snapshot, restoredAt);
+
+    assert.deepEqual(room.clocks.get('a'), { remainingMs: 130000, runningSince: restoredAt, flagged: false });
+    assert.deepEqual(room.clocks.get('b'), { remainingMs: 90000, runningSince: null, flagged: false });
+  });
+
+  it('hold no nested arrays, which Firestore cannot store', () => {
+    const now = Date.now();
+    const snapshot = createRoomSnapshot('ABC123', createPlayingRoom(now), now);
+    const hasNestedArray = value => Array.isArray(value)
+      ? value.some(item => Array.isArray(item) || hasNestedArray(item))
+      : value !== null && typeof value === 'object' && Object.values(value).some(hasNestedArray);
+    assert.ok(!hasNestedArray(snapshot));
+  });
+
+  it('leave out seats held for disconnected players and spectators', () => {
+    const now = Date.now();
+    const { room } = restoreRoomSnapshot(createRoomSnapshot('ABC123', createPlayingRoom(now), now), now);
+    assert.equal(room.disconnectedPlayers.size, 0);
+    assert.equal(room.spectators.size, 0);
+  });
+});
@@ -0,0 +1,79 @@
+// Series lengths players can pick when asking for a rematch
+const SERIES_LENGTHS = [3, 5, 7];
+const DEFAULT_SERIES_LENGTH = 3;
+
+// A running score between the two seats of a room. Wins are kept per seat
+// index so they survive a player reconnecting under a new socket id. The
+// length is only chosen with the first rematch.
+function createSeries(bestOf = null) {
+  return {
+    bestOf,
+    gamesPlayed: 0,
+    wins: [0, 0],
+    draws: 0
+  };
+}
+
+// Count a finished game; winnerIndex is the winner's seat, or null for a draw
+function recordSeriesGame(series, winnerIndex) {
+  series.gamesPlayed++;
+  if (winnerIndex === null || winnerIndex < 0) {
+    series.draws++;
+  } else {
+    series.wins[winnerIndex]++;
+  }
+}
+
+// Seat index of the series winner, null for a tied series, or undefined
+// while the series is still being played
+function getSeriesWinner(series) {
+  if (!series.bestOf) {
+    return undefined;
+  }
+
+  const needed = Math.floor(series.bestOf / 2) + 1;
+  const leader = series.wins[0] >= series.wins[1] ? 0 : 1;
+  if (series.wins[leader] >= needed) {
+    return leader;
+  }
+  if (series.gamesPlayed >= series.bestOf) {
+    return series.wins[0] === series.wins[1] ? null : leader;
+  }
+  return undefined;
+}
+
+function isSeriesOver(series) {
+  return getSeriesWinner(series) !== undefined;
+}
+
+// Series as sent to clients, with the score keyed by player id
+function getSeriesState(room) {
+  const { series } = room;
+  if (!series) {
+    return null;
+  }
+
+  const winnerIndex = getSeriesWinner(series);
+  const scores = {};
+  room.players.forEach((playerId, index) => {
+    scores[playerId] = series.wins[index];
+  });
+
+  return {
+    bestOf: series.bestOf,
+    gamesPlayed: series.gamesPlayed,
+    scores,
+    draws: series.draws,
+    isOver: winnerIndex !== undefined,
+    winner: winnerIndex === undefined || winnerIndex === null ? null : room.players[winnerIndex]
+  };
+}
+
+module.exports = {
+  SERIES_LENGTHS,
+  DEFAULT_SERIES_LENGTH,
+  createSeries,
+  recordSeriesGame,
+  isSeriesOver,
+  getSeriesState
+};
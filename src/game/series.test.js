@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSeries, recordSeriesGame, isSeriesOver, getSeriesState } = require('./series');
+
+function playSeries(bestOf, winners) {
+  const series = createSeries(bestOf);
+  winners.forEach(winner => recordSeriesGame(series, winner));
+  return series;
+}
+
+describe('series scoring', () => {
+  it('is never over before a length is chosen', () => {
+    assert.ok(!isSeriesOver(playSeries(null, [0, 0, 0])));
+  });
+
+  it('ends once a player has won a majority of the games', () => {
+    assert.ok(!isSeriesOver(playSeries(3, [0])));
+    assert.ok(isSeriesOver(playSeries(3, [0, 0])));
+    assert.ok(!isSeriesOver(playSeries(5, [1, 1, 0])));
+    assert.ok(isSeriesOver(playSeries(5, [1, 1, 0, 1])));
+  });
+
+  it('counts draws as games played but not as wins', () => {
+    const series = playSeries(3, [null, 0, null]);
+    assert.deepEqual(series.wins, [1, 0]);
+    assert.equal(series.draws, 2);
+    assert.ok(isSeriesOver(series));
+  });
+
+  it('reports the score by player id and the winner', () => {
+    const room = { players: ['socket-a', 'socket-b'], series: playSeries(3, [1, 0, 1]) };
+    assert.deepEqual(getSeriesState(room), {
+      bestOf: 3,
+      gamesPlayed: 3,
+      scores: { 'socket-a': 1, 'socket-b': 2 },
+      draws: 0,
+      isOver: true,
+      winner: 'socket-b'
+    });
+  });
+
+  it('reports a level series that ran out of games as tied', () => {
+    const state = getSeriesState({ players: ['a', 'b'], series: playSeries(3, [0, 1, null]) });
+    assert.equal(state.isOver, true);
+    assert.equal(state.winner, null);
+  });
+
+  it('keeps scores with the seat when a player rejoins under a new id', () => {
+    const room = { players: ['a', 'b'], series: playSeries(5, [0, 0]) };
+    room.players[0] = 'a-rejoined';
+    assert.equal(getSeriesState(room).scores['a-rejoined'], 2);
+  });
+});
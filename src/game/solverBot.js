@@ -0,0 +1,125 @@
+const { getWordList, normalizeWord, scoreGuess } = require('../utils/wordUtils');
+const { followsHardMode } = require('./guessRules');
+
+// Difficulty levels. Think time is drawn from the range before every guess.
+// Easy plays a random word instead of a useful one some of the time, medium
+// guesses any word that still fits the feedback, and hard picks the word that
+// splits the remaining candidates most evenly.
+const BOT_LEVELS = {
+  easy: { thinkTimeMs: [9000, 16000], strategy: 'candidate', blunderRate: 0.4 },
+  medium: { thinkTimeMs: [6000, 12000], strategy: 'candidate', blunderRate: 0 },
+  hard: { thinkTimeMs: [4000, 8000], strategy: 'entropy', blunderRate: 0 }
+};
+const DEFAULT_BOT_LEVEL = 'medium';
+
+// Caps on the entropy search so a move stays cheap on large lists
+const MAX_GUESSES_SCORED = 60;
+const MAX_CANDIDATES_SCORED = 300;
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+// Up to limit items picked at random, or all of them if there are fewer
+function sample(items, limit) {
+  if (items.length <= limit) {
+    return items;
+  }
+  const picked = new Set();
+  while (picked.size < limit) {
+    picked.add(randomItem(items));
+  }
+  return [...picked];
+}
+
+function getThinkTimeMs(level) {
+  const [min, max] = BOT_LEVELS[level].thinkTimeMs;
+  return min + Math.floor(Math.random() * (max - min));
+}
+
+// The answer list upper-cased for its language, the form guesses are made in
+function getWords(wordLength, language) {
+  return getWordList(wordLength, language).map(word => normalizeWord(word, language));
+}
+
+// Words from the list that would have produced every feedback seen so far
+function getCandidates(previousGuesses, wordLength, language) {
+  return getWords(wordLength, language).filter(word => previousGuesses.every(({ guess, feedback }) => (
+    scoreGuess(guess, word).join() === feedback.join()
+  )));
+}
+
+// Shannon entropy of the feedback patterns a guess produces over the
+// candidates: higher means the answer narrows down faster
+function getEntropy(guess, candidates) {
+  const patterns = new Map();
+  candidates.forEach(candidate => {
+    const key = scoreGuess(guess, candidate).join();
+    patterns.set(key, (patterns.get(key) || 0) + 1);
+  });
+
+  let entropy = 0;
+  for (const count of patterns.values()) {
+    const p = count / candidates.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function getBestGuess(candidates) {
+  if (candidates.length <= 2) {
+    return candidates[0];
+  }
+
+  const scored = sample(candidates, MAX_CANDIDATES_SCORED);
+  let best = null;
+  let bestEntropy = -1;
+  sample(candidates, MAX_GUESSES_SCORED).forEach(guess => {
+    const entropy = getEntropy(guess, scored);
+    if (entropy > bestEntropy) {
+      best = guess;
+      bestEntropy = entropy;
+    }
+  });
+  return best;
+}
+
+// Pick the bot's next guess from its own board. settings are the room
+// settings; in hard mode the bot only plays words that reuse the hints.
+function chooseBotGuess(level, previousGuesses, { wordLength, hardMode, language }) {
+  const { strategy, blunderRate } = BOT_LEVELS[level];
+  const guessed = new Set(previousGuesses.map(({ guess }) => guess));
+  const candidates = getCandidates(previousGuesses, wordLength, language).filter(word => !guessed.has(word));
+
+  if (Math.random() < blunderRate) {
+    const words = getWords(wordLength, language).filter(word => (
+      !guessed.has(word) && (!hardMode || followsHardMode(word, previousGuesses))
+    ));
+    if (words.length > 0) {
+      return randomItem(words);
+    }
+  }
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return strategy === 'entropy' ? getBestGuess(candidates) : randomItem(candidates);
+}
+
+// Bot level for a matchmaking fallback game, based on the human's rating
+function getFallbackLevel(rating) {
+  if (rating < 900) {
+    return 'easy';
+  }
+  return rating < 1200 ? 'medium' : 'hard';
+}
+
+module.exports = {
+  BOT_LEVELS,
+  DEFAULT_BOT_LEVEL,
+  getThinkTimeMs,
+  getCandidates,
+  chooseBotGuess,
+  getFallbackLevel
+};
@@ -0,0 +1,301 @@
+const { QUICK_MATCH_SETTINGS, parseRoomSettings } = require('./roomSettings');
+
+const TOURNAMENT_FORMATS = ['singleElimination', 'swiss'];
+const TOURNAMENT_PLAYER_LIMITS = { min: 2, max: 64 };
+const SWISS_ROUND_LIMITS = { min: 1, max: 10 };
+const NAME_MAX_LENGTH = 50;
+
+// Error codes thrown by the Tournament model, with the HTTP status and message
+// they are reported with
+const TOURNAMENT_ERRORS = {
+  TOURNAMENT_NOT_FOUND: { status: 404, error: 'Tournament not found' },
+  REGISTRATION_CLOSED: { status: 409, error: 'Registration is closed' },
+  TOURNAMENT_FULL: { status: 409, error: 'Tournament is full' },
+  NOT_ORGANIZER: { status: 403, error: 'Only the organizer can start the tournament' },
+  ALREADY_STARTED: { status: 409, error: 'Tournament already started' },
+  NOT_ENOUGH_PLAYERS: { status: 409, error: `At least ${TOURNAMENT_PLAYER_LIMITS.min} players are needed` }
+};
+
+// Validate the options for a new tournament. Returns { options } or { error }.
+// Games default to the quick match clock.
+function parseTournamentOptions(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > NAME_MAX_LENGTH) {
+    return { error: `Name must be 1-${NAME_MAX_LENGTH} characters` };
+  }
+
+  if (!TOURNAMENT_FORMATS.includes(input.format)) {
+    return { error: `Format must be one of ${TOURNAMENT_FORMATS.join(', ')}` };
+  }
+
+  let swissRounds = null;
+  if (input.format === 'swiss' && input.rounds !== undefined) {
+    if (!Number.isInteger(input.rounds) ||
+        input.rounds < SWISS_ROUND_LIMITS.min || input.rounds > SWISS_ROUND_LIMITS.max) {
+      return { error: `Rounds must be between ${SWISS_ROUND_LIMITS.min} and ${SWISS_ROUND_LIMITS.max}` };
+    }
+    swissRounds = input.rounds;
+  }
+
+  const { settings, error } = parseRoomSettings({
+    timeControl: QUICK_MATCH_SETTINGS.timeControl,
+    ...input.settings
+  });
+  if (error) {
+    return { error };
+  }
+  if (settings.maxPlayers !== 2) {
+    return { error: 'Tournament games are for two players' };
+  }
+
+  return { options: { name, format: input.format, swissRounds, settings } };
+}
+
+function getCurrentRound(tournament) {
+  return tournament.rounds[tournament.currentRound - 1];
+}
+
+function findMatch(tournament, matchId) {
+  return getCurrentRound(tournament)?.matches.find(match => match.matchId === matchId);
+}
+
+// A match between two players. A missing player makes it a bye for the other
+// one, or a double forfeit if both are missing, and it is settled at once.
+function createMatch(round, index, player1, player2) {
+  const match = {
+    matchId: `r${round}m${index + 1}`,
+    player1: player1 || null,
+    player2: player2 || null,
+    winner: null,
+    result: null,
+    status: 'pending',
+    roomCode: null,
+    gameIds: []
+  };
+
+  if (!player1 || !player2) {
+    match.status = 'finished';
+    match.winner = player1 || player2 || null;
+    match.result = match.winner ? 'bye' : 'doubleForfeit';
+  }
+  return match;
+}
+
+// Bracket order of seeds for a bracket of the given size, so the top seeds
+// can only meet in the later rounds: 1 v 8, 4 v 5, 2 v 7, 3 v 6 for eight
+function getBracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, next - seed]);
+  }
+  return order;
+}
+
+function createEliminationMatches(tournament, round) {
+  if (round === 1) {
+    const size = 2 ** Math.ceil(Math.log2(tournament.players.length));
+    const bySeed = new Map(tournament.players.map(player => [player.seed, player.userId]));
+    const order = getBracketOrder(size);
+    const matches = [];
+    for (let index = 0; index < order.length; index += 2) {
+      matches.push(createMatch(round, index / 2, bySeed.get(order[index]), bySeed.get(order[index + 1])));
+    }
+    return matches;
+  }
+
+  // Winners of neighbouring matches meet in the next round
+  const previous = tournament.rounds[round - 2].matches;
+  const matches = [];
+  for (let index = 0; index < previous.length; index += 2) {
+    matches.push(createMatch(round, index / 2, previous[index].winner, previous[index + 1].winner));
+  }
+  return matches;
+}
+
+function havePlayed(tournament, playerA, playerB) {
+  return tournament.rounds.some(round => round.matches.some(match => (
+    (match.player1 === playerA && match.player2 === playerB) ||
+    (match.player1 === playerB && match.player2 === playerA)
+  )));
+}
+
+function hasHadBye(tournament, userId) {
+  return tournament.rounds.some(round => round.matches.some(match => (
+    match.result === 'bye' && match.winner === userId
+  )));
+}
+
+// Swiss pairing: players are paired down the standings with the next player
+// they have not met yet. With an odd field the lowest ranked player without a
+// bye sits out for a point.
+function createSwissMatches(tournament, round) {
+  const ranked = getStandings(tournament).map(row => row.userId);
+
+  let byePlayer = null;
+  if (ranked.length % 2 === 1) {
+    const byeIndex = ranked.map(userId => !hasHadBye(tournament, userId)).lastIndexOf(true);
+    [byePlayer] = ranked.splice(byeIndex === -1 ? ranked.length - 1 : byeIndex, 1);
+  }
+
+  const pairs = [];
+  while (ranked.length > 0) {
+    const player = ranked.shift();
+    const opponentIndex = ranked.findIndex(other => !havePlayed(tournament, player, other));
+    const [opponent] = ranked.splice(opponentIndex === -1 ? 0 : opponentIndex, 1);
+    pairs.push([player, opponent]);
+  }
+
+  if (byePlayer) {
+    pairs.push([byePlayer, null]);
+  }
+  return pairs.map(([player1, player2], index) => createMatch(round, index, player1, player2));
+}
+
+function isRoundComplete(round) {
+  return round.matches.every(match => match.status === 'finished');
+}
+
+// Open the next round whenever the current one is complete, and finish the
+// tournament after its last round. Byes settle immediately, so this can move
+// more than one round at a time.
+function advanceTournament(tournament, now = new Date()) {
+  while (tournament.status === 'running') {
+    const current = getCurrentRound(tournament);
+    if (current && !isRoundComplete(current)) {
+      return;
+    }
+
+    if (tournament.currentRound >= tournament.totalRounds) {
+      tournament.status = 'finished';
+      tournament.finishedAt = now.toISOString();
+      tournament.champion = tournament.format === 'singleElimination'
+        ? current.matches[0].winner
+        : getStandings(tournament)[0].userId;
+      return;
+    }
+
+    const round = tournament.currentRound + 1;
+    tournament.rounds.push({
+      round,
+      matches: tournament.format === 'singleElimination'
+        ? createEliminationMatches(tournament, round)
+        : createSwissMatches(tournament, round)
+    });
+    tournament.currentRound = round;
+  }
+}
+
+// Seed the registered players by rating and open the first round
+function startTournament(tournament, now = new Date()) {
+  tournament.players = [...tournament.players]
+    .sort((a, b) => b.rating - a.rating)
+    .map((player, index) => ({ ...player, seed: index + 1 }));
+
+  const eliminationRounds = Math.ceil(Math.log2(tournament.players.length));
+  tournament.totalRounds = tournament.format === 'swiss'
+    ? tournament.swissRounds || eliminationRounds
+    : eliminationRounds;
+  tournament.status = 'running';
+  tournament.startedAt = now.toISOString();
+  tournament.currentRound = 0;
+  tournament.rounds = [];
+  advanceTournament(tournament, now);
+}
+
+// Settle a match of the current round. outcome is { winner, result, gameId }
+// with result 'win', 'draw', 'forfeit' or 'doubleForfeit'. Returns false if
+// the match is not open.
+function applyMatchResult(tournament, matchId, outcome, now = new Date()) {
+  const match = findMatch(tournament, matchId);
+  if (!match || match.status === 'finished') {
+    return false;
+  }
+
+  match.status = 'finished';
+  match.winner = outcome.winner;
+  match.result = outcome.result;
+  if (outcome.gameId) {
+    match.gameIds = [...match.gameIds, outcome.gameId];
+  }
+  advanceTournament(tournament, now);
+  return true;
+}
+
+// Points (1 for a win or bye, 0.5 for a draw), with the Buchholz score (the
+// sum of the opponents' points) as a tiebreak. Elimination standings go by
+// how far each player got.
+function getStandings(tournament) {
+  const rows = new Map(tournament.players.map(player => [player.userId, {
+    userId: player.userId,
+    username: player.username,
+    seed: player.seed ?? null,
+    points: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    byes: 0,
+    buchholz: 0,
+    eliminatedInRound: null,
+    opponents: []
+  }]));
+
+  tournament.rounds.forEach(({ round, matches }) => {
+    matches.filter(match => match.status === 'finished').forEach(match => {
+      const players = [match.player1, match.player2].filter(Boolean).map(userId => rows.get(userId));
+      if (match.result === 'bye') {
+        players[0].points++;
+        players[0].byes++;
+        return;
+      }
+
+      players.forEach(row => {
+        row.opponents.push(players.find(other => other !== row).userId);
+        if (match.result === 'draw') {
+          row.points += 0.5;
+          row.draws++;
+        } else if (match.winner === row.userId) {
+          row.points++;
+          row.wins++;
+        } else {
+          row.losses++;
+          row.eliminatedInRound = row.eliminatedInRound ?? round;
+        }
+      });
+    });
+  });
+
+  const standings = [...rows.values()];
+  standings.forEach(row => {
+    row.buchholz = row.opponents.reduce((sum, userId) => sum + rows.get(userId).points, 0);
+  });
+
+  const bySeed = (a, b) => (a.seed ?? Infinity) - (b.seed ?? Infinity);
+  if (tournament.format === 'singleElimination') {
+    const roundReached = row => row.eliminatedInRound ?? Infinity;
+    standings.sort((a, b) => roundReached(b) - roundReached(a) || bySeed(a, b));
+  } else {
+    standings.sort((a, b) => b.points - a.points || b.buchholz - a.buchholz || bySeed(a, b));
+  }
+
+  return standings.map(({ opponents, ...row }, index) => ({ rank: index + 1, ...row }));
+}
+
+// The open match in the current round for a player, if any
+function getPlayerMatch(tournament, userId) {
+  return getCurrentRound(tournament)?.matches.find(match => (
+    match.status !== 'finished' && (match.player1 === userId || match.player2 === userId)
+  )) || null;
+}
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  TOURNAMENT_PLAYER_LIMITS,
+  TOURNAMENT_ERRORS,
+  parseTournamentOptions,
+  getCurrentRound,
+  startTournament,
+  applyMatchResult,
+  getStandings,
+  getPlayerMatch
+};
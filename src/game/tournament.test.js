@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getCurrentRound,
+  startTournament,
+  applyMatchResult,
+  getStandings,
+  getPlayerMatch
+} = require('./tournament');
+
+function createTournament(format, ratings, swissRounds = null) {
+  const tournament = {
+    format,
+    swissRounds,
+    status: 'registration',
+    players: ratings.map((rating, index) => ({ userId: `p${index + 1}`, username: `Player ${index + 1}`, rating }))
+  };
+  startTournament(tournament, new Date('2026-05-01T00:00:00Z'));
+  return tournament;
+}
+
+function pairings(tournament) {
+  return getCurrentRound(tournament).matches.map(match => [match.player1, match.player2]);
+}
+
+// Settle every open match in the current round with the first named player
+// of each pair winning
+function playRound(tournament, winners) {
+  getCurrentRound(tournament).matches
+    .filter(match => match.status !== 'finished')
+    .forEach(match => {
+      const winner = winners.find(userId => userId === match.player1 || userId === match.player2);
+      applyMatchResult(tournament, match.matchId, winner ? { winner, result: 'win' } : { winner: null, result: 'draw' });
+    });
+}
+
+describe('Swiss tournaments', () => {
+  it('seed players by rating and pair them down the seeds', () => {
+    const tournament = createTournament('swiss', [1100, 1400, 1200, 1300]);
+    assert.deepEqual(tournament.players.map(player => [player.userId, player.seed]), [['p2', 1], ['p4', 2], ['p3', 3], ['p1', 4]]);
+    assert.equal(tournament.totalRounds, 2);
+    assert.deepEqual(pairings(tournament), [['p2', 'p4'], ['p3', 'p1']]);
+  });
+
+  it('pair players on equal points and avoid rematches', () => {
+    const tournament = createTournament('swiss', [1400, 1300, 1200, 1100], 3);
+    playRound(tournament, ['p1', 'p3']);
+    assert.deepEqual(pairings(tournament), [['p1', 'p3'], ['p2', 'p4']]);
+
+    playRound(tournament, ['p1', 'p2']);
+    // p1 has met p2 and p3 already, so plays p4
+    assert.deepEqual(pairings(tournament), [['p1', 'p4'], ['p2', 'p3']]);
+  });
+
+  it('give the lowest ranked player a bye worth a point in an odd field', () => {
+    const tournament = createTournament('swiss', [1400, 1300, 1200]);
+    const bye = getCurrentRound(tournament).matches.find(match => match.result === 'bye');
+    assert.equal(bye.winner, 'p3');
+    assert.equal(getPlayerMatch(tournament, 'p3'), null);
+
+    playRound(tournament, ['p1']);
+    // p3 already had a bye, so the next lowest ranked player sits out
+    const secondBye = getCurrentRound(tournament).matches.find(match => match.result === 'bye');
+    assert.equal(secondBye.winner, 'p2');
+  });
+
+  it('rank on points, then Buchholz, then seed, and crown the leader', () => {
+    const tournament = createTournament('swiss', [1400, 1300, 1200, 1100]);
+    playRound(tournament, ['p1', 'p4']);
+    playRound(tournament, ['p4']);
+
+    assert.equal(tournament.status, 'finished');
+    const standings = getStandings(tournament);
+    assert.deepEqual(standings.map(row => [row.rank, row.userId, row.points]), [
+      [1, 'p4', 2],
+      [2, 'p1', 1],
+      [3, 'p3', 0.5],
+      [4, 'p2', 0.5]
+    ]);
+    // p3 and p2 drew, and p3's opponents scored more
+    assert.deepEqual([standings[2].buchholz, standings[3].buchholz], [2.5, 1.5]);
+    assert.equal(tournament.champion, 'p4');
+  });
+});
+
+describe('single elimination tournaments', () => {
+  it('give the top seeds byes into a full bracket', () => {
+    const tournament = createTournament('singleElimination', [1500, 1400, 1300, 1200, 1100]);
+    assert.equal(tournament.totalRounds, 3);
+    assert.deepEqual(pairings(tournament), [['p1', null], ['p4', 'p5'], ['p2', null], ['p3', null]]);
+    assert.deepEqual(getCurrentRound(tournament).matches.map(match => match.result), ['bye', null, 'bye', 'bye']);
+  });
+
+  it('send winners of neighbouring matches on and stop at the final', () => {
+    const tournament = createTournament('singleElimination', [1500, 1400, 1300, 1200]);
+    playRound(tournament, ['p1', 'p3']);
+    assert.deepEqual(pairings(tournament), [['p1', 'p3']]);
+
+    playRound(tournament, ['p3']);
+    assert.equal(tournament.status, 'finished');
+    assert.equal(tournament.champion, 'p3');
+    assert.deepEqual(getStandings(tournament).map(row => row.userId), ['p3', 'p1', 'p2', 'p4']);
+  });
+
+  it('ignore results for matches that are already settled', () => {
+    const tournament = createTournament('singleElimination', [1500, 1400]);
+    const [final] = getCurrentRound(tournament).matches;
+    assert.ok(applyMatchResult(tournament, final.matchId, { winner: 'p2', result: 'forfeit' }));
+    assert.ok(!applyMatchResult(tournament, final.matchId, { winner: 'p1', result: 'win' }));
+    assert.equal(tournament.champion, 'p2');
+  });
+});
@@ -0,0 +1,114 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+require('dotenv').config();
+
+// LOG_LEVEL sets the lowest level written: debug, info (default), warn or
+// error. LOG_FORMAT is json (the default in production, one object per line)
+// or pretty.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const FORMAT = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+// Fields that would give away answers to anyone reading the logs. They are
+// only written when debug logging is on.
+const REDACTED_FIELDS = ['targetWord', 'word', 'guess', 'guesses'];
+const REDACTED = '[redacted]';
+
+// Fields attached to every line logged while handling something, such as the
+// socket, user and room of a socket event
+const context = new AsyncLocalStorage();
+
+// Run fn with fields added to every line it logs, including from timers and
+// promises it starts
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Run fn with only these fields as context, for work that outlives whatever
+// started it, such as room timers
+function withNewLogContext(fields, fn) {
+  return context.run({ ...fields }, fn);
+}
+
+// Add fields to the current context once they are known, e.g. the room a
+// socket just created
+function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+function isEnabled(level) {
+  return LEVELS[level] >= LEVELS[LEVEL];
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+// Copy of a value safe to write: errors as plain objects and answers hidden
+// unless debug logging is on
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) {
+    return sanitize(serializeError(value), depth);
+  }
+  if (value instanceof Map) {
+    return sanitize(Object.fromEntries(value), depth);
+  }
+  if (value instanceof Set) {
+    return sanitize([...value], depth);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) {
+      continue;
+    }
+    copy[key] = REDACTED_FIELDS.includes(key) && !isEnabled('debug')
+      ? REDACTED
+      : sanitize(field, depth + 1);
+  }
+  return copy;
+}
+
+function formatPretty(level, message, fields) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string'
+      ? value
+      : util.inspect(value, { depth: 4, breakLength: Infinity })}`)
+    .join(' ');
+  return `${new Date().toISOString()} ${level.toUpperCase()} ${message}${details ? ` ${details}` : ''}`;
+}
+
+function write(level, message, fields = {}) {
+  if (!isEnabled(level)) {
+    return;
+  }
+  const entry = sanitize({ ...context.getStore(), ...fields });
+
+  const line = FORMAT === 'json'
+    ? JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...entry })
+    : formatPretty(level, message, entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  isEnabled,
+  withLogContext,
+  withNewLogContext,
+  addLogContext
+};
+
+module.exports = logger;
@@ -0,0 +1,113 @@
+const client = require('prom-client');
+
+// Prometheus metrics, served at /metrics. Every instance keeps its own
+// counts; Prometheus adds the instance label when it scrapes.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'wordle_' });
+
+const gamesStarted = new client.Counter({
+  name: 'wordle_games_started_total',
+  help: 'Games started, by mode',
+  labelNames: ['mode'],
+  registers: [register]
+});
+
+const gamesFinished = new client.Counter({
+  name: 'wordle_games_finished_total',
+  help: 'Games finished, by mode and outcome (win, draw or forfeit)',
+  labelNames: ['mode', 'outcome'],
+  registers: [register]
+});
+
+const guessesPerGame = new client.Histogram({
+  name: 'wordle_game_guesses',
+  help: 'Guesses each player used in a finished game, by mode',
+  labelNames: ['mode'],
+  buckets: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  registers: [register]
+});
+
+const matchmakingWait = new client.Histogram({
+  name: 'wordle_matchmaking_wait_seconds',
+  help: 'Time quick match players spent queued, by what they were matched with (player or bot)',
+  labelNames: ['matchedWith'],
+  buckets: [1, 3, 5, 10, 20, 30, 60, 120, 300],
+  registers: [register]
+});
+
+const socketConnects = new client.Counter({
+  name: 'wordle_socket_connects_total',
+  help: 'Socket connections',
+  registers: [register]
+});
+
+const socketDisconnects = new client.Counter({
+  name: 'wordle_socket_disconnects_total',
+  help: 'Socket disconnections, by socket.io disconnect reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const storageDuration = new client.Histogram({
+  name: 'wordle_storage_operation_duration_seconds',
+  help: 'Storage calls, by backend, collection and operation',
+  labelNames: ['backend', 'collection', 'operation'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+
+const storageErrors = new client.Counter({
+  name: 'wordle_storage_errors_total',
+  help: 'Storage calls that failed, by backend, collection and operation',
+  labelNames: ['backend', 'collection', 'operation'],
+  registers: [register]
+});
+
+// Set when /metrics is scraped
+const activeRooms = new client.Gauge({
+  name: 'wordle_active_rooms',
+  help: 'Game rooms on this instance',
+  registers: [register]
+});
+
+const connectedSockets = new client.Gauge({
+  name: 'wordle_connected_sockets',
+  help: 'Sockets connected to this instance',
+  registers: [register]
+});
+
+const queuedPlayers = new client.Gauge({
+  name: 'wordle_queued_players',
+  help: 'Quick match players queued on this instance',
+  registers: [register]
+});
+
+// Run a storage call, timing it. Failures are counted unless isStorageError
+// says the error came from the caller rather than the backend.
+async function timeStorageOperation(labels, operation, isStorageError = () => true) {
+  const end = storageDuration.startTimer(labels);
+  try {
+    return await operation();
+  } catch (error) {
+    if (isStorageError(error)) {
+      storageErrors.inc(labels);
+    }
+    throw error;
+  } finally {
+    end();
+  }
+}
+
+module.exports = {
+  register,
+  gamesStarted,
+  gamesFinished,
+  guessesPerGame,
+  matchmakingWait,
+  socketConnects,
+  socketDisconnects,
+  activeRooms,
+  connectedSockets,
+  queuedPlayers,
+  timeStorageOperation
+};
@@ -0,0 +1,100 @@
+const { getRepository } = require('../storage');
+const { MAX_ATTEMPTS, validateGuessWord } = require('../game/guessRules');
+const { getDailyWord } = require('../game/dailyChallenge');
+const { normalizeWord, scoreGuess } = require('../utils/wordUtils');
+
+// Solved attempts are ranked by guesses, then solve time. Both are folded into
+// one number so the leaderboard only needs a single ordered query.
+const RANK_GUESS_WEIGHT = 1e10;
+
+function attemptId(dayKey, userId) {
+  return `${dayKey}_${userId}`;
+}
+
+class DailyChallenge {
+  static get repository() {
+    return getRepository('dailyResults');
+  }
+
+  static async getAttempt(dayKey, userId) {
+    return this.repository.get(attemptId(dayKey, userId));
+  }
+
+  // Each user gets exactly one attempt per day: an existing attempt is
+  // returned as-is, finished or not
+  static async startAttempt(dayKey, userId, username) {
+    return this.repository.transaction(attemptId(dayKey, userId), async (attempt) => {
+      if (attempt) {
+        return {};
+      }
+      return {
+        dayKey,
+        userId,
+        username,
+        status: 'playing',
+        guesses: [],
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        solveTimeMs: null,
+        rankScore: null
+      };
+    });
+  }
+
+  // Score a guess for a user's attempt. Throws an Error whose message is a
+  // guess error code when the guess is rejected.
+  static async submitGuess(dayKey, userId, guess) {
+    const targetWord = getDailyWord(dayKey);
+
+    return this.repository.transaction(attemptId(dayKey, userId), async (attempt) => {
+      if (!attempt || attempt.status !== 'playing') {
+        throw new Error('GAME_NOT_ACTIVE');
+      }
+
+      const errorCode = validateGuessWord(guess, targetWord, attempt.guesses);
+      if (errorCode) {
+        throw new Error(errorCode);
+      }
+
+      const now = new Date();
+      const normalizedGuess = normalizeWord(guess);
+      const guesses = [...attempt.guesses, {
+        guess: normalizedGuess,
+        feedback: scoreGuess(normalizedGuess, targetWord),
+        at: now.toISOString()
+      }];
+
+      const updates = { guesses };
+      if (normalizedGuess === targetWord) {
+        updates.status = 'solved';
+        updates.solveTimeMs = now - new Date(attempt.startedAt);
+        updates.rankScore = guesses.length * RANK_GUESS_WEIGHT + updates.solveTimeMs;
+      } else if (guesses.length >= MAX_ATTEMPTS) {
+        updates.status = 'failed';
+      }
+      if (updates.status) {
+        updates.finishedAt = now.toISOString();
+      }
+      return updates;
+    });
+  }
+
+  // Solvers for a day, fewest guesses first and fastest within the same count
+  static async getLeaderboard(dayKey, limit = 10) {
+    const attempts = await this.repository.find({
+      where: [['dayKey', '==', dayKey], ['status', '==', 'solved']],
+      orderBy: ['rankScore', 'asc'],
+      limit
+    });
+
+    return attempts.map((attempt, index) => ({
+      rank: index + 1,
+      userId: attempt.userId,
+      username: attempt.username,
+      guessesUsed: attempt.guesses.length,
+      solveTimeMs: attempt.solveTimeMs
+    }));
+  }
+}
+
+module.exports = DailyChallenge;
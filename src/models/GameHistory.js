@@ -0,0 +1,50 @@
+const { getRepository } = require('../storage');
+
+const MAX_PAGE_SIZE = 50;
+
+class GameHistory {
+  static get repository() {
+    return getRepository('games');
+  }
+
+  // Store a completed game. game.gameId is used as the document id.
+  static async recordGame(game) {
+    const record = {
+      ...game,
+      // Used to look up a player's games
+      playerIds: game.players.map(player => player.userId).filter(Boolean),
+      recordedAt: new Date().toISOString()
+    };
+
+    await this.repository.set(game.gameId, record);
+    return record;
+  }
+
+  static async getGame(gameId) {
+    return this.repository.get(gameId);
+  }
+
+  // Most recent games first. Pass the nextCursor of a page as `before` to get
+  // the following page.
+  static async getPlayerGames(userId, { limit = 20, before } = {}) {
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+
+    const where = [['playerIds', 'array-contains', userId]];
+    if (before) {
+      where.push(['finishedAt', '<', before]);
+    }
+
+    const games = await this.repository.find({
+      where,
+      orderBy: ['finishedAt', 'desc'],
+      limit: pageSize
+    });
+
+    return {
+      games,
+      nextCursor: games.length === pageSize ? games[games.length - 1].finishedAt : null
+    };
+  }
+}
+
+module.exports = GameHistory;
@@ -1,9 +1,42 @@
-const { db } = require('../config/firebase');
+const { getRepository } = require('../storage');
+const logger = require('../logging');
+const { getPreviousDayKey } = require('../game/dailyChallenge');
+const { recordAbandonment } = require('../game/abandonment');
+const {
+  INITIAL_RATING,
+  INITIAL_DEVIATION,
+  INITIAL_VOLATILITY,
+  getRating,
+  rateMatch,
+  isProvisional
+} = require('../rating/glicko2');
+
+const MAX_FRIENDS = 200;
+
+// Friend lists are stored on the player's stats document as arrays of user ids
+function getFriendLists(stats) {
+  return {
+    friends: stats.friends || [],
+    incomingFriendRequests: stats.incomingFriendRequests || [],
+    outgoingFriendRequests: stats.outgoingFriendRequests || []
+  };
+}
+
+function without(list, userId) {
+  return list.filter(id => id !== userId);
+}
+
+function including(list, userId) {
+  return list.includes(userId) ? list : [...list, userId];
+}
 
 class PlayerStats {
+  static get repository() {
+    return getRepository('playerStats');
+  }
+
   static async getStats(userId) {
-    const doc = await db.collection('playerStats').doc(userId).get();
-    return doc.exists ? doc.data() : null;
+    return this.repository.get(userId);
   }
 
   static async createStats(userId, username) {
@@ -12,31 +45,51 @@ class PlayerStats {
       username,
       gamesPlayed: 0,
       gamesWon: 0,
+      gamesDrawn: 0,
       currentStreak: 0,
       bestStreak: 0,
-      rating: 1000, // Initial ELO rating
+      // Daily challenge streak
+      dailyStreak: 0,
+      bestDailyStreak: 0,
+      lastDailyDay: null,
+      // Glicko-2 rating
+      rating: INITIAL_RATING,
+      ratingDeviation: INITIAL_DEVIATION,
+      ratingVolatility: INITIAL_VOLATILITY,
+      provisional: true,
+      lastRatedAt: null,
       averageGuesses: 0,
+      // Abandoned games and the matchmaking cooldown they lead to
+      abandonments: 0,
+      recentAbandonments: [],
+      matchmakingCooldownUntil: null,
+      // Friends
+      friends: [],
+      incomingFriendRequests: [],
+      outgoingFriendRequests: [],
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    await db.collection('playerStats').doc(userId).set(initialStats);
+    await this.repository.set(userId, initialStats);
     return initialStats;
   }
 
+  // gameResult: { won, draw, guesses, opponents }, where opponents lists each
+  // opponent's stats with the score against them ({ stats, score }). The
+  // rating is only updated when there are opponents.
   static async updateStats(userId, gameResult) {
-    const statsRef = db.collection('playerStats').doc(userId);
-    
-    return db.runTransaction(async (transaction) => {
-      const doc = await transaction.get(statsRef);
-      if (!doc.exists) {
+    let ratingChange = 0;
+
+    const updatedStats = await this.repository.transaction(userId, async (stats) => {
+      if (!stats) {
         throw new Error('Player stats not found');
       }
 
-      const stats = doc.data();
       const updates = {
         gamesPlayed: stats.gamesPlayed + 1,
         gamesWon: stats.gamesWon + (gameResult.won ? 1 : 0),
+        gamesDrawn: (stats.gamesDrawn || 0) + (gameResult.draw ? 1 : 0),
         currentStreak: gameResult.won ? stats.currentStreak + 1 : 0,
         bestStreak: gameResult.won ? 
           Math.max(stats.bestStreak, stats.currentStreak + 1) : 
@@ -48,38 +101,235 @@ class PlayerStats {
         updatedAt: new Date().toISOString()
       };
 
-      // Update ELO rating if it was a multiplayer game
-      if (gameResult.opponentRating) {
-        const expectedScore = 1 / (1 + Math.pow(10, (gameResult.opponentRating - stats.rating) / 400));
-        const actualScore = gameResult.won ? 1 : 0;
-        const k = 32; // K-factor for ELO calculation
-        updates.rating = Math.round(stats.rating + k * (actualScore - expectedScore));
+      // Update Glicko-2 rating if it was a multiplayer game
+      if (gameResult.opponents?.length) {
+        const now = new Date();
+        const current = getRating(stats, now);
+        const rated = rateMatch(current, gameResult.opponents.map(opponent => ({
+          ...getRating(opponent.stats, now),
+          score: opponent.score
+        })));
+
+        updates.rating = Math.round(rated.rating);
+        updates.ratingDeviation = Number(rated.ratingDeviation.toFixed(2));
+        updates.ratingVolatility = rated.ratingVolatility;
+        updates.provisional = isProvisional(rated.ratingDeviation);
+        updates.lastRatedAt = now.toISOString();
+        ratingChange = updates.rating - current.rating;
+      }
+
+      return updates;
+    });
+
+    return { ...updatedStats, ratingChange };
+  }
+
+  // Record a finished daily challenge. The streak continues only if the
+  // previous day's challenge was also solved.
+  static async recordDailyResult(userId, dayKey, solved) {
+    return this.repository.transaction(userId, async (stats) => {
+      if (!stats) {
+        throw new Error('Player stats not found');
+      }
+      if (stats.lastDailyDay === dayKey) {
+        return {};
       }
 
-      transaction.update(statsRef, updates);
-      return { ...stats, ...updates };
+      const continuesStreak = solved && stats.lastDailyDay === getPreviousDayKey(dayKey);
+      const dailyStreak = solved ? (continuesStreak ? (stats.dailyStreak || 0) + 1 : 1) : 0;
+      return {
+        dailyStreak,
+        bestDailyStreak: Math.max(stats.bestDailyStreak || 0, dailyStreak),
+        lastDailyDay: dayKey,
+        updatedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  // Count a live game the player abandoned, which may put them on a
+  // matchmaking cooldown
+  static async recordAbandonment(userId, now = new Date()) {
+    return this.repository.transaction(userId, async (stats) => {
+      if (!stats) {
+        throw new Error('Player stats not found');
+      }
+      return {
+        ...recordAbandonment(stats, now),
+        updatedAt: now.toISOString()
+      };
+    });
+  }
+
+  // Provisional players (rating deviation still high) are hidden unless asked
+  // for. The stored flag is only updated when a player is rated, so players
+  // whose deviation has since grown from inactivity are filtered out here,
+  // fetching more until the page is full.
+  static async getLeaderboard(limit = 10, { includeProvisional = false } = {}) {
+    if (includeProvisional) {
+      return this.repository.find({ orderBy: ['rating', 'desc'], limit });
+    }
+
+    const now = new Date();
+    for (let fetchLimit = limit; ; fetchLimit *= 2) {
+      const players = await this.repository.find({
+        where: [['provisional', '==', false]],
+        orderBy: ['rating', 'desc'],
+        limit: fetchLimit
+      });
+      const listed = players.filter(stats => !isProvisional(getRating(stats, now).ratingDeviation));
+      if (listed.length >= limit || players.length < fetchLimit) {
+        return listed.slice(0, limit);
+      }
+    }
+  }
+
+  static async findByUsername(username) {
+    const matches = await this.repository.find({
+      where: [['username', '==', username]],
+      limit: 1
+    });
+    return matches[0] || null;
+  }
+
+  // Apply updateFn to a player's friend lists in a transaction. updateFn gets
+  // the current lists and returns the ones to change.
+  static async updateFriendLists(userId, updateFn) {
+    return this.repository.transaction(userId, async (stats) => {
+      if (!stats) {
+        throw new Error('Player not found');
+      }
+      const updates = updateFn(getFriendLists(stats));
+      return Object.keys(updates).length > 0
+        ? { ...updates, updatedAt: new Date().toISOString() }
+        : {};
     });
   }
 
-  static async getLeaderboard(limit = 10) {
-    const snapshot = await db.collection('playerStats')
-      .orderBy('rating', 'desc')
-      .limit(limit)
-      .get();
+  // Friend changes are written to each player's document in turn, so both
+  // must exist before either is written; otherwise a failed second write
+  // would leave the lists one-sided
+  static async requirePlayers(...userIds) {
+    const players = await Promise.all(userIds.map(userId => this.getStats(userId)));
+    if (players.some(stats => !stats)) {
+      throw new Error('Player not found');
+    }
+    return players;
+  }
+
+  // Ask another player, by username, to be friends. If they already asked
+  // this player, the request is accepted instead. Returns { status, friend }
+  // with status 'requested' or 'accepted'.
+  static async sendFriendRequest(userId, username) {
+    const target = await this.findByUsername(username);
+    if (!target) {
+      throw new Error('Player not found');
+    }
+    if (target.userId === userId) {
+      throw new Error('Cannot add yourself as a friend');
+    }
+
+    const friend = { userId: target.userId, username: target.username };
+    const targetLists = getFriendLists(target);
+    if (targetLists.friends.includes(userId)) {
+      throw new Error('Already friends');
+    }
+    if (targetLists.outgoingFriendRequests.includes(userId)) {
+      await this.acceptFriendRequest(userId, target.userId);
+      return { status: 'accepted', friend };
+    }
+
+    const [stats] = await this.requirePlayers(userId);
+    if (getFriendLists(stats).friends.length >= MAX_FRIENDS) {
+      throw new Error('Friend limit reached');
+    }
 
-    return snapshot.docs.map(doc => ({
-      userId: doc.id,
-      ...doc.data()
+    await this.updateFriendLists(target.userId, lists => ({
+      incomingFriendRequests: including(lists.incomingFriendRequests, userId)
     }));
+    await this.updateFriendLists(userId, lists => ({
+      outgoingFriendRequests: including(lists.outgoingFriendRequests, target.userId)
+    }));
+    return { status: 'requested', friend };
+  }
+
+  static async acceptFriendRequest(userId, fromUserId) {
+    await this.requirePlayers(userId, fromUserId);
+    await this.updateFriendLists(userId, lists => {
+      if (!lists.incomingFriendRequests.includes(fromUserId)) {
+        throw new Error('No friend request from this player');
+      }
+      if (lists.friends.length >= MAX_FRIENDS) {
+        throw new Error('Friend limit reached');
+      }
+      return {
+        friends: including(lists.friends, fromUserId),
+        incomingFriendRequests: without(lists.incomingFriendRequests, fromUserId)
+      };
+    });
+    await this.updateFriendLists(fromUserId, lists => ({
+      friends: including(lists.friends, userId),
+      outgoingFriendRequests: without(lists.outgoingFriendRequests, userId)
+    }));
+  }
+
+  static async declineFriendRequest(userId, fromUserId) {
+    await this.requirePlayers(userId, fromUserId);
+    await this.updateFriendLists(userId, lists => {
+      if (!lists.incomingFriendRequests.includes(fromUserId)) {
+        throw new Error('No friend request from this player');
+      }
+      return { incomingFriendRequests: without(lists.incomingFriendRequests, fromUserId) };
+    });
+    await this.updateFriendLists(fromUserId, lists => ({
+      outgoingFriendRequests: without(lists.outgoingFriendRequests, userId)
+    }));
+  }
+
+  // Remove a friend, or cancel a request sent to them, on both sides
+  static async removeFriend(userId, friendId) {
+    const clear = otherId => lists => ({
+      friends: without(lists.friends, otherId),
+      incomingFriendRequests: without(lists.incomingFriendRequests, otherId),
+      outgoingFriendRequests: without(lists.outgoingFriendRequests, otherId)
+    });
+    await this.requirePlayers(userId, friendId);
+    await this.updateFriendLists(userId, clear(friendId));
+    await this.updateFriendLists(friendId, clear(userId));
+  }
+
+  // A player's friends and pending requests, each as { userId, username, rating }
+  static async getFriends(userId) {
+    const stats = await this.getStats(userId);
+    if (!stats) {
+      throw new Error('Player not found');
+    }
+
+    const lists = getFriendLists(stats);
+    const profiles = new Map();
+    const ids = [...new Set([
+      ...lists.friends,
+      ...lists.incomingFriendRequests,
+      ...lists.outgoingFriendRequests
+    ])];
+    const allStats = await Promise.all(ids.map(id => this.getStats(id)));
+    allStats.filter(Boolean).forEach(friend => {
+      profiles.set(friend.userId, {
+        userId: friend.userId,
+        username: friend.username,
+        rating: friend.rating
+      });
+    });
+
+    const toProfiles = list => list.filter(id => profiles.has(id)).map(id => profiles.get(id));
+    return {
+      friends: toProfiles(lists.friends),
+      incoming: toProfiles(lists.incomingFriendRequests),
+      outgoing: toProfiles(lists.outgoingFriendRequests)
+    };
   }
 
   static async isUsernameAvailable(username) {
-    const snapshot = await db.collection('playerStats')
-      .where('username', '==', username)
-      .limit(1)
-      .get();
-    
-    return snapshot.empty;
+    return !(await this.findByUsername(username));
   }
 
   static async updateUsername(userId, newUsername) {
@@ -87,11 +337,9 @@ class PlayerStats {
       throw new Error('Missing required fields');
     }
 
-    const statsRef = db.collection('playerStats').doc(userId);
-    
     // Get current stats to verify user exists
-    const currentStats = await statsRef.get();
-    if (!currentStats.exists) {
+    const currentStats = await this.getStats(userId);
+    if (!currentStats) {
       throw new Error('User not found');
     }
     
@@ -102,17 +350,13 @@ class PlayerStats {
     }
     
     try {
-      // Update the username
-      await statsRef.update({
+      // Update the username and return the updated stats
+      return await this.repository.update(userId, {
         username: newUsername,
         updatedAt: new Date().toISOString()
       });
-      
-      // Get and return the updated stats
-      const doc = await statsRef.get();
-      return doc.data();
     } catch (error) {
-      console.error('Error updating username:', error);
+      logger.error('Error updating username', { userId, error });
       throw new Error('Failed to update username');
     }
   }
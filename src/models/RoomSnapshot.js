@@ -0,0 +1,23 @@
+const { getRepository } = require('../storage');
+
+// Unfinished rooms saved by a server that shut down, until a server starting
+// up restores them. snapshot.roomCode is used as the document id.
+class RoomSnapshot {
+  static get repository() {
+    return getRepository('roomSnapshots');
+  }
+
+  static async saveRoom(snapshot) {
+    await this.repository.set(snapshot.roomCode, snapshot);
+    return snapshot;
+  }
+
+  // Every saved room, removed from storage so it is only restored once
+  static async takeAll() {
+    const snapshots = await this.repository.find();
+    await Promise.all(snapshots.map(snapshot => this.repository.delete(snapshot.roomCode)));
+    return snapshots;
+  }
+}
+
+module.exports = RoomSnapshot;
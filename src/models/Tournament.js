@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { getRepository } = require('../storage');
+const {
+  TOURNAMENT_PLAYER_LIMITS,
+  startTournament,
+  applyMatchResult,
+  getCurrentRound
+} = require('../game/tournament');
+
+// Fields a transaction writes back after the tournament logic has run
+function progressFields(tournament) {
+  return {
+    players: tournament.players,
+    status: tournament.status,
+    totalRounds: tournament.totalRounds,
+    currentRound: tournament.currentRound,
+    rounds: tournament.rounds,
+    champion: tournament.champion,
+    startedAt: tournament.startedAt,
+    finishedAt: tournament.finishedAt
+  };
+}
+
+class Tournament {
+  static get repository() {
+    return getRepository('tournaments');
+  }
+
+  // options come from parseTournamentOptions
+  static async createTournament(organizerId, options) {
+    const tournament = {
+      tournamentId: crypto.randomUUID(),
+      ...options,
+      organizerId,
+      status: 'registration',
+      players: [],
+      totalRounds: null,
+      currentRound: 0,
+      rounds: [],
+      champion: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    await this.repository.set(tournament.tournamentId, tournament);
+    return tournament;
+  }
+
+  static async getTournament(tournamentId) {
+    return this.repository.get(tournamentId);
+  }
+
+  static async listTournaments(status, limit = 20) {
+    return this.repository.find({
+      where: status ? [['status', '==', status]] : [],
+      orderBy: ['createdAt', 'desc'],
+      limit: Math.min(limit, 50)
+    });
+  }
+
+  // Add a player while registration is open. Throws an Error whose message is
+  // an error code when the player can't register.
+  static async register(tournamentId, player) {
+    return this.repository.transaction(tournamentId, async (tournament) => {
+      if (!tournament) {
+        throw new Error('TOURNAMENT_NOT_FOUND');
+      }
+      if (tournament.status !== 'registration') {
+        throw new Error('REGISTRATION_CLOSED');
+      }
+      if (tournament.players.some(registered => registered.userId === player.userId)) {
+        return {};
+      }
+      if (tournament.players.length >= TOURNAMENT_PLAYER_LIMITS.max) {
+        throw new Error('TOURNAMENT_FULL');
+      }
+      return { players: [...tournament.players, player] };
+    });
+  }
+
+  // Close registration, seed the players and open the first round
+  static async start(tournamentId, userId) {
+    return this.repository.transaction(tournamentId, async (tournament) => {
+      if (!tournament) {
+        throw new Error('TOURNAMENT_NOT_FOUND');
+      }
+      if (tournament.organizerId !== userId) {
+        throw new Error('NOT_ORGANIZER');
+      }
+      if (tournament.status !== 'registration') {
+        throw new Error('ALREADY_STARTED');
+      }
+      if (tournament.players.length < TOURNAMENT_PLAYER_LIMITS.min) {
+        throw new Error('NOT_ENOUGH_PLAYERS');
+      }
+
+      startTournament(tournament);
+      return progressFields(tournament);
+    });
+  }
+
+  // Remember which room a match of the current round is played in
+  static async setMatchRoom(tournamentId, matchId, roomCode) {
+    return this.repository.transaction(tournamentId, async (tournament) => {
+      const match = tournament && getCurrentRound(tournament)?.matches.find(open => open.matchId === matchId);
+      if (!match || match.status !== 'pending') {
+        return {};
+      }
+      match.status = 'open';
+      match.roomCode = roomCode;
+      return { rounds: tournament.rounds };
+    });
+  }
+
+  // Settle a match and move the tournament on. Results for matches that are
+  // already settled are ignored.
+  static async recordResult(tournamentId, matchId, outcome) {
+    return this.repository.transaction(tournamentId, async (tournament) => {
+      if (!tournament || !applyMatchResult(tournament, matchId, outcome)) {
+        return {};
+      }
+      return progressFields(tournament);
+    });
+  }
+}
+
+module.exports = Tournament;
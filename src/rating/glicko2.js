@@ -0,0 +1,147 @@
+// Glicko-2 rating system (Glickman, "Example of the Glicko-2 system").
+// Every game is rated as its own rating period; time spent inactive between
+// games widens the rating deviation before the game is applied.
+
+const INITIAL_RATING = 1000;
+const INITIAL_DEVIATION = 350;
+const INITIAL_VOLATILITY = 0.06;
+
+// Deviation above which a rating is considered provisional
+const PROVISIONAL_DEVIATION = 110;
+
+// Players migrated from the old ELO rating already have a history, so their
+// rating is trusted enough to keep them on the leaderboard
+const MIGRATED_DEVIATION = 100;
+
+// Constrains volatility changes over time (0.3 - 1.2 is reasonable)
+const TAU = 0.5;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+// Conversion between the Glicko and Glicko-2 scales
+const SCALE = 173.7178;
+const CENTER = 1500;
+
+// Length of an idle period that widens the deviation
+const RATING_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+// Step 5 of the paper: solve for the new volatility (Illinois algorithm)
+function computeVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) {
+      k++;
+    }
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+// Read a player's rating from their stats, filling in Glicko-2 fields for
+// players still on the old ELO rating and widening the deviation for every
+// full rating period they have been inactive
+function getRating(stats, now = new Date()) {
+  const hasHistory = stats?.gamesPlayed > 0;
+  const rating = stats?.rating ?? INITIAL_RATING;
+  let ratingDeviation = stats?.ratingDeviation ??
+    (hasHistory ? MIGRATED_DEVIATION : INITIAL_DEVIATION);
+  const ratingVolatility = stats?.ratingVolatility ?? INITIAL_VOLATILITY;
+
+  if (stats?.lastRatedAt) {
+    const idlePeriods = Math.floor((now - new Date(stats.lastRatedAt)) / RATING_PERIOD_MS);
+    if (idlePeriods > 0) {
+      const phi = ratingDeviation / SCALE;
+      const widened = Math.sqrt(phi * phi + idlePeriods * ratingVolatility * ratingVolatility);
+      ratingDeviation = Math.min(widened * SCALE, INITIAL_DEVIATION);
+    }
+  }
+
+  return { rating, ratingDeviation, ratingVolatility };
+}
+
+// Rate one game against any number of opponents, each given with the score
+// against them: 1 for finishing ahead, 0.5 for level and 0 for behind
+function rateMatch(player, opponents) {
+  const mu = (player.rating - CENTER) / SCALE;
+  const phi = player.ratingDeviation / SCALE;
+
+  let inverseV = 0;
+  let scoreSum = 0;
+  opponents.forEach(opponent => {
+    const opponentMu = (opponent.rating - CENTER) / SCALE;
+    const opponentPhi = opponent.ratingDeviation / SCALE;
+    const gPhi = g(opponentPhi);
+    const expected = expectedScore(mu, opponentMu, opponentPhi);
+    inverseV += gPhi * gPhi * expected * (1 - expected);
+    scoreSum += gPhi * (opponent.score - expected);
+  });
+
+  const v = 1 / inverseV;
+  const delta = v * scoreSum;
+
+  const newVolatility = computeVolatility(phi, player.ratingVolatility, delta, v);
+  const phiStar = Math.sqrt(phi * phi + newVolatility * newVolatility);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * scoreSum;
+
+  return {
+    rating: newMu * SCALE + CENTER,
+    ratingDeviation: Math.min(newPhi * SCALE, INITIAL_DEVIATION),
+    ratingVolatility: newVolatility
+  };
+}
+
+// Rate a single game. score is 1 for a win, 0.5 for a draw and 0 for a loss.
+function rateGame(player, opponent, score) {
+  return rateMatch(player, [{ ...opponent, score }]);
+}
+
+function isProvisional(ratingDeviation) {
+  return ratingDeviation > PROVISIONAL_DEVIATION;
+}
+
+module.exports = {
+  INITIAL_RATING,
+  INITIAL_DEVIATION,
+  INITIAL_VOLATILITY,
+  MIGRATED_DEVIATION,
+  PROVISIONAL_DEVIATION,
+  getRating,
+  rateMatch,
+  rateGame,
+  isProvisional
+};
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  INITIAL_RATING,
+  INITIAL_DEVIATION,
+  MIGRATED_DEVIATION,
+  getRating,
+  rateMatch,
+  rateGame,
+  isProvisional
+} = require('./glicko2');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('rateMatch', () => {
+  it('matches the worked example in the Glicko-2 paper', () => {
+    const player = { rating: 1500, ratingDeviation: 200, ratingVolatility: 0.06 };
+    const rated = rateMatch(player, [
+      { rating: 1400, ratingDeviation: 30, score: 1 },
+      { rating: 1550, ratingDeviation: 100, score: 0 },
+      { rating: 1700, ratingDeviation: 300, score: 0 }
+    ]);
+
+    assert.equal(rated.rating.toFixed(2), '1464.05');
+    assert.equal(rated.ratingDeviation.toFixed(2), '151.52');
+    assert.equal(rated.ratingVolatility.toFixed(5), '0.06000');
+  });
+});
+
+describe('rateGame', () => {
+  const newPlayer = { rating: INITIAL_RATING, ratingDeviation: INITIAL_DEVIATION, ratingVolatility: 0.06 };
+
+  it('moves evenly matched players by the same amount in opposite directions', () => {
+    const winner = rateGame(newPlayer, newPlayer, 1);
+    const loser = rateGame(newPlayer, newPlayer, 0);
+    assert.ok(winner.rating > INITIAL_RATING);
+    assert.equal((winner.rating - INITIAL_RATING).toFixed(6), (INITIAL_RATING - loser.rating).toFixed(6));
+  });
+
+  it('leaves the rating of evenly matched players alone on a draw', () => {
+    assert.equal(rateGame(newPlayer, newPlayer, 0.5).rating.toFixed(6), INITIAL_RATING.toFixed(6));
+  });
+
+  it('narrows the deviation with every game', () => {
+    assert.ok(rateGame(newPlayer, newPlayer, 1).ratingDeviation < INITIAL_DEVIATION);
+  });
+});
+
+describe('getRating', () => {
+  const now = new Date('2026-01-31T00:00:00Z');
+
+  it('starts new players at the initial rating, provisional', () => {
+    const { rating, ratingDeviation } = getRating(null, now);
+    assert.equal(rating, INITIAL_RATING);
+    assert.equal(ratingDeviation, INITIAL_DEVIATION);
+    assert.ok(isProvisional(ratingDeviation));
+  });
+
+  it('trusts the rating of players migrated from ELO', () => {
+    const { rating, ratingDeviation } = getRating({ gamesPlayed: 40, rating: 1234 }, now);
+    assert.equal(rating, 1234);
+    assert.equal(ratingDeviation, MIGRATED_DEVIATION);
+    assert.ok(!isProvisional(ratingDeviation));
+  });
+
+  it('widens the deviation for every idle rating period', () => {
+    const stats = { rating: 1500, ratingDeviation: 50, ratingVolatility: 0.06 };
+    const sameDay = getRating({ ...stats, lastRatedAt: new Date(now - DAY_MS / 2).toISOString() }, now);
+    const tenDays = getRating({ ...stats, lastRatedAt: new Date(now - 10 * DAY_MS).toISOString() }, now);
+    assert.equal(sameDay.ratingDeviation, 50);
+    assert.ok(tenDays.ratingDeviation > 50 && tenDays.ratingDeviation < 70);
+  });
+
+  it('never widens the deviation past the initial deviation', () => {
+    const stats = { rating: 1500, ratingDeviation: 50, ratingVolatility: 0.06, lastRatedAt: '2000-01-01T00:00:00Z' };
+    assert.equal(getRating(stats, now).ratingDeviation, INITIAL_DEVIATION);
+  });
+});
@@ -1,8 +1,70 @@
+const crypto = require('crypto');
 const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const { words } = require('./utils/wordle-list.json');
+const { getRandomWord, normalizeWord, scoreGuess } = require('./utils/wordUtils');
+const { SUPPORTED_LANGUAGES, getLanguages } = require('./utils/wordPacks');
+const { MAX_ATTEMPTS, GUESS_ERRORS, guessError, validateGuess } = require('./game/guessRules');
+const {
+  getGameResult,
+  getForfeitResult,
+  getPlayerOutcome,
+  getPairwiseScore,
+  isMultiplayerRoom
+} = require('./game/gameResults');
+const { getBoardState, getSpectatorBoard } = require('./game/boardState');
+const { findMatch, recordMatchWait, getQueueStatus } = require('./game/matchmaking');
+const { getDayKey, isValidDayKey, getDailyWord } = require('./game/dailyChallenge');
+const { getCooldownRemainingMs } = require('./game/abandonment');
+const {
+  MAX_MESSAGE_LENGTH,
+  QUICK_REACTIONS,
+  chatError,
+  parseChatMessage,
+  recordChatSend
+} = require('./game/chat');
+const {
+  TOURNAMENT_ERRORS,
+  parseTournamentOptions,
+  getCurrentRound,
+  getStandings,
+  getPlayerMatch
+} = require('./game/tournament');
+const {
+  BOT_LEVELS,
+  DEFAULT_BOT_LEVEL,
+  getThinkTimeMs,
+  chooseBotGuess,
+  getFallbackLevel
+} = require('./game/solverBot');
+const { QUICK_MATCH_SETTINGS, parseRoomSettings } = require('./game/roomSettings');
+const {
+  SERIES_LENGTHS,
+  DEFAULT_SERIES_LENGTH,
+  createSeries,
+  recordSeriesGame,
+  isSeriesOver,
+  getSeriesState
+} = require('./game/series');
+const {
+  startClocks,
+  getRemainingMs,
+  stopClock,
+  recordGuessTime,
+  flagPlayer,
+  getClockSnapshot
+} = require('./game/clock');
+const { createRoomSnapshot, restoreRoomSnapshot } = require('./game/roomSnapshot');
 const PlayerStats = require('./models/PlayerStats');
+const GameHistory = require('./models/GameHistory');
+const DailyChallenge = require('./models/DailyChallenge');
+const Tournament = require('./models/Tournament');
+const RoomSnapshot = require('./models/RoomSnapshot');
+const { verifyIdToken, requireAuth } = require('./auth/tokenVerifier');
+const { getStateStore } = require('./state');
+const RemoteSocket = require('./state/RemoteSocket');
+const metrics = require('./metrics');
+const logger = require('./logging');
 
 const app = express();
 const httpServer = createServer(app);
@@ -14,7 +76,7 @@ app.use(express.json());
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -41,23 +103,90 @@ const io = new Server(httpServer, {
   allowEIO3: true
 });
 
-// Add error handling for socket server
+// Failed handshakes. Only a summary is logged; the request carries headers
+// and tokens.
 io.engine.on("connection_error", (err) => {
-  console.log('Connection error:', err.req);      // the request object
-  console.log('Error message:', err.code);     // the error code
-  console.log('Error context:', err.context);  // some additional error context
+  logger.warn('Connection error', {
+    code: err.code,
+    message: err.message,
+    transport: err.req?._query?.transport,
+    remoteAddress: err.req?.headers?.['x-forwarded-for'] || err.req?.socket?.remoteAddress,
+    userAgent: err.req?.headers?.['user-agent']
+  });
 });
 
-// Store active game rooms
+// Id of this server instance. Rooms live on the instance that created them;
+// the room directory, matchmaking queue, presence and invites are kept in the
+// state store so every instance can see them.
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomUUID();
+const state = getStateStore();
+
+// Store active game rooms owned by this instance
 const gameRooms = new Map();
-// Store players waiting for quickmatch
-const matchmakingQueue = [];
 // Store active socket connections
 const activeConnections = new Set();
 // Store socket to room mapping
 const socketRooms = new Map();
 // Store socket connection type (matchmaking or game)
 const socketTypes = new Map();
+// Store spectator socket to room mapping
+const spectatingRooms = new Map();
+// Store recent chat send times per socket for rate limiting
+const chatHistory = new Map();
+// Store expiry timers for game invites sent from this instance
+const inviteTimers = new Map();
+// Store the instance handling events for sockets connected here that play
+// in a room another instance owns
+const socketHandlers = new Map();
+// Store stand-ins for sockets connected to other instances that play in
+// rooms owned by this one
+const remoteSockets = new Map();
+// Store acknowledgements waiting on events forwarded to another instance
+const pendingAcks = new Map();
+// Results of finished games still being written to storage
+const pendingResults = new Set();
+// Set once the server starts shutting down; no new games start after that
+let shuttingDown = false;
+
+// How long a disconnected player's seat is held before the game is forfeited
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS) || 60 * 1000;
+// How long a player waits in the quick match queue before being offered a
+// bot game. Unset or 0 turns the fallback off.
+const BOT_FALLBACK_MS = parseInt(process.env.BOT_FALLBACK_MS) || 0;
+// How long tournament players have to turn up for a match before it is forfeited
+const TOURNAMENT_NO_SHOW_MS = parseInt(process.env.TOURNAMENT_NO_SHOW_MS) || 5 * 60 * 1000;
+// Pause before a drawn elimination match is replayed
+const TOURNAMENT_REPLAY_DELAY_MS = 5000;
+// How long a friend has to answer a game invite
+const INVITE_TTL_MS = 60 * 1000;
+// How often an instance reports that it is up, and how long until it is
+// presumed gone
+const HEARTBEAT_MS = 5 * 1000;
+const INSTANCE_TTL_MS = 3 * HEARTBEAT_MS;
+// How long one instance may hold the matchmaking lock while pairing players
+const MATCHMAKING_LOCK_MS = 10 * 1000;
+// How long to wait for the answer to an event forwarded to another instance
+const FORWARD_TIMEOUT_MS = 10 * 1000;
+// Quick match chat is limited to quick reactions unless this is set
+const QUICK_MATCH_FREE_CHAT = process.env.QUICK_MATCH_FREE_CHAT === 'true';
+// How long a finished two-player room stays open for a rematch
+const REMATCH_WINDOW_MS = parseInt(process.env.REMATCH_WINDOW_MS) || 30 * 1000;
+// How long a shutdown waits for live games to finish before saving them
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 20 * 1000;
+// How long one instance may hold the lock while restoring saved rooms
+const RESTORE_LOCK_MS = 30 * 1000;
+// Events that would start a new game, refused while shutting down
+const NEW_GAME_EVENTS = [
+  'createRoom',
+  'inviteFriend',
+  'acceptInvite',
+  'joinMatchmaking',
+  'playBot',
+  'joinRoom',
+  'startGame',
+  'requestRematch',
+  'acceptRematch'
+];
 
 // Function to get actual connected clients count
 function getActualConnectionCount() {
@@ -72,9 +201,11 @@ function syncConnectionTracking() {
       .map(socket => socket.id)
   );
   
-  // Remove any tracked connections that are no longer actually connected
+  // Remove any tracked connections that are no longer actually connected.
+  // Sockets of other instances count until their instance reports the
+  // disconnect.
   for (const socketId of activeConnections) {
-    if (!connectedSockets.has(socketId)) {
+    if (!connectedSockets.has(socketId) && !remoteSockets.has(socketId)) {
       cleanupPlayer(socketId);
     }
   }
@@ -94,40 +225,319 @@ function generateRoomCode() {
   return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
 
-// Select a random word for the game
-function getRandomWord() {
-  return words[Math.floor(Math.random() * words.length)].toUpperCase();
+// Room codes are upper case, whatever case a client sends them in
+function normalizeRoomCode(roomCode) {
+  return typeof roomCode === 'string' ? roomCode.toUpperCase() : null;
+}
+
+// A socket handled by this instance: connected here, or a stand-in for one
+// connected to another instance
+function getSocket(socketId) {
+  return io.sockets.sockets.get(socketId) || remoteSockets.get(socketId);
+}
+
+// Record in the room directory that this instance owns a room, with its
+// status and the users seated in it
+function publishRoom(roomCode, room) {
+  state.setRoom(roomCode, {
+    instanceId: INSTANCE_ID,
+    status: room.status,
+    userIds: [...room.userIds.values()].filter(Boolean)
+  }).catch(error => logger.error('Error publishing room', { error }));
+}
+
+function unpublishRoom(roomCode) {
+  state.deleteRoom(roomCode).catch(error => logger.error('Error unpublishing room', { error }));
+}
+
+// Send a message to the other instances. With `to` set only that instance
+// acts on it.
+function sendToInstances(type, data, to = null) {
+  io.serverSideEmit('cluster', { type, from: INSTANCE_ID, to, ...data });
+}
+
+// A socket joined a room, the queue or a spectator channel here. If another
+// instance handled its events until now, take them over.
+function attachSocket(socket) {
+  if (!state.isShared) {
+    return;
+  }
+  if (socket instanceof RemoteSocket) {
+    if (socket.claimed) {
+      return;
+    }
+    socket.claimed = true;
+  } else if (!socketHandlers.delete(socket.id)) {
+    return;
+  }
+  sendToInstances('claimSocket', { socketId: socket.id });
+}
+
+// Stand-in for a socket connected to another instance, registered with the
+// same event handlers as a local socket
+function addRemoteSocket(socketId, homeId, userId) {
+  const socket = new RemoteSocket(io, socketId, homeId, userId);
+  registerSocketHandlers(socket);
+  remoteSockets.set(socketId, socket);
+  return socket;
+}
+
+// Forget a socket whose events another instance now handles, leaving any
+// room or channel it was in here. Its queue entry, if any, stays.
+function releaseSocket(socket) {
+  stopSpectating(socket);
+  leaveRoom(socket.id);
+  chatHistory.delete(socket.id);
+  socketTypes.delete(socket.id);
+  activeConnections.delete(socket.id);
+}
+
+// Instance that should handle an event a local socket sent to join a room,
+// when that room is owned elsewhere
+async function findRoomOwner(socket, event, payload) {
+  let roomCode = null;
+  if (event === 'joinRoom' || event === 'spectateRoom') {
+    roomCode = normalizeRoomCode(payload?.roomCode);
+  } else if (event === 'rejoinGame' && socket.userId && !findRoomByUserId(socket.userId)) {
+    const rooms = await state.getRooms();
+    roomCode = rooms.find(room => room.status !== 'finished' && room.userIds.includes(socket.userId))?.roomCode;
+  } else if (event === 'acceptInvite' || event === 'declineInvite') {
+    roomCode = (await state.getInvite(payload?.inviteId))?.roomCode;
+  }
+
+  if (!roomCode || gameRooms.has(roomCode)) {
+    return null;
+  }
+  const room = await state.getRoom(roomCode);
+  return room && room.instanceId !== INSTANCE_ID && await state.isAlive(room.instanceId)
+    ? room.instanceId
+    : null;
+}
+
+// Socket middleware: events run on the instance that owns the socket's room.
+// Events of a socket handled elsewhere, and requests to join a room owned
+// elsewhere, are passed on to that instance.
+async function routeEvent(socket, [event, ...args], next) {
+  if (!state.isShared || event === 'authenticate') {
+    return next();
+  }
+
+  try {
+    const instanceId = ['joinRoom', 'spectateRoom', 'rejoinGame', 'acceptInvite', 'declineInvite'].includes(event)
+      ? await findRoomOwner(socket, event, args[0]) || socketHandlers.get(socket.id)
+      : socketHandlers.get(socket.id);
+    if (!instanceId) {
+      return next();
+    }
+
+    let ackId = null;
+    if (typeof args[args.length - 1] === 'function') {
+      ackId = crypto.randomUUID();
+      pendingAcks.set(ackId, args.pop());
+      setTimeout(() => pendingAcks.delete(ackId), FORWARD_TIMEOUT_MS);
+    }
+    sendToInstances('socketEvent', { socketId: socket.id, userId: socket.userId, event, args, ackId }, instanceId);
+  } catch (error) {
+    logger.error('Error routing event', { error });
+    next();
+  }
+}
+
+// Fields logged with everything done for a socket event: the socket, its
+// user and the room the event is about
+function getSocketLogContext(socket, event, payload) {
+  const roomCode = normalizeRoomCode(payload?.roomCode);
+  return {
+    socketId: socket.id,
+    userId: socket.userId,
+    roomCode: roomCode || socketRooms.get(socket.id) || spectatingRooms.get(socket.id),
+    event
+  };
+}
+
+// Socket middleware: runs the rest of the event's handling in its log context
+function withSocketLogContext(socket, [event, payload], next) {
+  logger.withLogContext(getSocketLogContext(socket, event, payload), next);
+}
+
+// Socket middleware: once the server is shutting down, events that would
+// start a new game are refused
+function refuseNewGames(socket, [event, ...args], next) {
+  if (!shuttingDown || !NEW_GAME_EVENTS.includes(event)) {
+    return next();
+  }
+  refuseNewGame(socket, event, args);
+}
+
+function refuseNewGame(socket, event, args) {
+  logger.info('🛑 Refused event, server is shutting down', { event, socketId: socket.id });
+  const callback = args[args.length - 1];
+  if (typeof callback === 'function') {
+    callback({ success: false, code: 'SERVER_SHUTTING_DOWN', error: 'Server is shutting down' });
+  } else if (event === 'joinMatchmaking') {
+    socket.emit('matchmakingError', 'Server is shutting down');
+  }
+}
+
+// Handle a message from another instance
+async function handleClusterMessage({ type, from, to, ...data }) {
+  if (to && to !== INSTANCE_ID) {
+    return;
+  }
+
+  switch (type) {
+    // Run an event for a socket connected to the sending instance
+    case 'socketEvent': {
+      const socket = remoteSockets.get(data.socketId) || addRemoteSocket(data.socketId, from, data.userId);
+      socket.userId = data.userId;
+      const args = data.ackId
+        ? [...data.args, (...response) => sendToInstances('socketAck', { ackId: data.ackId, args: response }, from)]
+        : data.args;
+      try {
+        await logger.withLogContext(getSocketLogContext(socket, data.event, data.args[0]), () => (
+          shuttingDown && NEW_GAME_EVENTS.includes(data.event)
+            ? refuseNewGame(socket, data.event, args)
+            : socket.dispatch(data.event, args)
+        ));
+      } catch (error) {
+        logger.error('Error handling forwarded event', { event: data.event, error });
+      }
+      // Nothing to hold on to if the event didn't seat it here
+      if (!socket.claimed && remoteSockets.get(socket.id) === socket) {
+        remoteSockets.delete(socket.id);
+      }
+      break;
+    }
+    case 'socketAck':
+      pendingAcks.get(data.ackId)?.(...data.args);
+      pendingAcks.delete(data.ackId);
+      break;
+    case 'socketDisconnect': {
+      const socket = remoteSockets.get(data.socketId);
+      if (socket) {
+        await disconnectRemoteSocket(socket, data.reason);
+      }
+      break;
+    }
+    // The sending instance now handles a socket's events
+    case 'claimSocket': {
+      const remoteSocket = remoteSockets.get(data.socketId);
+      if (remoteSocket) {
+        remoteSockets.delete(data.socketId);
+        releaseSocket(remoteSocket);
+      }
+      const socket = io.sockets.sockets.get(data.socketId);
+      if (socket) {
+        if (!socketHandlers.has(socket.id)) {
+          releaseSocket(socket);
+        }
+        socketHandlers.set(socket.id, from);
+      }
+      break;
+    }
+    // The sending instance no longer has anything to handle for a socket
+    case 'releaseSocket':
+      if (socketHandlers.get(data.socketId) === from) {
+        socketHandlers.delete(data.socketId);
+      }
+      break;
+    // A stopping instance saved its unfinished rooms
+    case 'restoreRooms':
+      if (!shuttingDown) {
+        await restoreRooms();
+      }
+      break;
+  }
+}
+
+// Run the disconnect handling for a socket connected to another instance
+async function disconnectRemoteSocket(socket, reason) {
+  socket.connected = false;
+  await socket.dispatch('disconnect', [reason]);
+  remoteSockets.delete(socket.id);
+}
+
+// Hand sockets back to their own instance once they are no longer in a room
+// or the queue here, and take back sockets whose handling instance is gone.
+// Sockets of an instance that stopped without saying they disconnected are
+// disconnected here, so their seats are held and then forfeited.
+async function releaseIdleSockets() {
+  const alive = new Map();
+  for (const socket of [...remoteSockets.values()]) {
+    if (!alive.has(socket.homeId)) {
+      alive.set(socket.homeId, await state.isAlive(socket.homeId));
+    }
+    if (!alive.get(socket.homeId)) {
+      await disconnectRemoteSocket(socket, 'instance stopped');
+    }
+  }
+
+  for (const socket of remoteSockets.values()) {
+    if (!socketRooms.has(socket.id) && !spectatingRooms.has(socket.id) &&
+        socketTypes.get(socket.id) !== 'matchmaking') {
+      remoteSockets.delete(socket.id);
+      sendToInstances('releaseSocket', { socketId: socket.id }, socket.homeId);
+    }
+  }
+
+  for (const [socketId, instanceId] of socketHandlers.entries()) {
+    if (!await state.isAlive(instanceId)) {
+      socketHandlers.delete(socketId);
+    }
+  }
+}
+
+// Drop directory entries for rooms that are gone: this instance's closed
+// rooms and every room of an instance that stopped
+async function pruneRoomDirectory() {
+  const alive = new Map([[INSTANCE_ID, true]]);
+  for (const room of await state.getRooms()) {
+    if (!alive.has(room.instanceId)) {
+      alive.set(room.instanceId, await state.isAlive(room.instanceId));
+    }
+    if ((room.instanceId === INSTANCE_ID && !gameRooms.has(room.roomCode)) || !alive.get(room.instanceId)) {
+      await state.deleteRoom(room.roomCode);
+    }
+  }
 }
 
 // Create a game room for two players
-function createGameRoom(player1Id, player2Id) {
-  console.log('\n🎮 Creating game room');
-  console.log('Player 1:', player1Id);
-  console.log('Player 2:', player2Id);
-  
+function createGameRoom(player1Id, player2Id, language) {
   const roomCode = generateRoomCode();
-  const targetWord = getRandomWord();
+  const settings = { ...QUICK_MATCH_SETTINGS, language };
+  const targetWord = getRandomWord(settings.wordLength, settings.language);
   
-  console.log('Room code:', roomCode);
-  console.log('Target word:', targetWord);
+  logger.info('🎮 Creating game room', { roomCode, players: [player1Id, player2Id] });
+  logger.debug('Target word chosen', { roomCode, targetWord });
   
   // Verify both sockets are still connected
-  const player1Socket = io.sockets.sockets.get(player1Id);
-  const player2Socket = io.sockets.sockets.get(player2Id);
+  const player1Socket = getSocket(player1Id);
+  const player2Socket = getSocket(player2Id);
   
   if (!player1Socket?.connected || !player2Socket?.connected) {
-    console.log('One or both players disconnected during room creation');
+    logger.info('One or both players disconnected during room creation', { roomCode });
     return null;
   }
   
   gameRooms.set(roomCode, {
+    gameId: crypto.randomUUID(),
+    mode: 'quickMatch',
     players: [player1Id, player2Id],
+    settings,
     targetWord,
     status: 'playing',
     guesses: new Map(),
     createdAt: new Date(),
+    startedAt: new Date(),
     isQuickMatch: true,
-    playerStats: new Map()
+    playerStats: new Map(),
+    disconnectedPlayers: new Map(),
+    forfeited: new Set(),
+    spectators: new Set(),
+    userIds: new Map([
+      [player1Id, player1Socket.userId],
+      [player2Id, player2Socket.userId]
+    ])
   });
   
   // Store room mapping for both players
@@ -135,11 +545,16 @@ function createGameRoom(player1Id, player2Id) {
   socketRooms.set(player2Id, roomCode);
   
   // Join both players to the room
+  stopSpectating(player1Socket);
+  stopSpectating(player2Socket);
   player1Socket.join(roomCode);
   player2Socket.join(roomCode);
+  attachSocket(player1Socket);
+  attachSocket(player2Socket);
+  publishRoom(roomCode, gameRooms.get(roomCode));
+  metrics.gamesStarted.inc({ mode: 'quickMatch' });
   
-  console.log('Room created successfully');
-  console.log('Current rooms:', Array.from(gameRooms.keys()));
+  logger.debug('Room created', { roomCode, rooms: gameRooms.size });
   return roomCode;
 }
 
@@ -149,12 +564,18 @@ function cleanupInactiveRooms() {
   for (const [roomCode, room] of gameRooms.entries()) {
     // Check if room is inactive (older than 30 minutes or has no active players)
     const isInactive = now - room.createdAt > 30 * 60 * 1000;
+    // Tournament rooms wait for their players until the no-show timer runs out
+    if (!isInactive && room.tournament && room.status === 'waiting') {
+      continue;
+    }
     const hasNoActivePlayers = room.players.every(playerId => {
-      const socket = io.sockets.sockets.get(playerId);
-      return !socket?.connected;
+      const socket = getSocket(playerId);
+      return !socket?.connected && !room.disconnectedPlayers.has(playerId);
     });
     
     if (isInactive || hasNoActivePlayers) {
+      clearRoomTimers(room);
+      releaseSpectators(roomCode, room);
       // Clean up socket room mappings
       room.players.forEach(playerId => {
         socketRooms.delete(playerId);
@@ -162,12 +583,19 @@ function cleanupInactiveRooms() {
         activeConnections.delete(playerId);
       });
       gameRooms.delete(roomCode);
-      console.log('Cleaned up inactive room:', roomCode);
+      unpublishRoom(roomCode);
+      logger.info('Cleaned up inactive room', { roomCode });
     }
   }
   
   // Sync connection tracking after cleanup
   syncConnectionTracking();
+
+  if (state.isShared) {
+    releaseIdleSockets()
+      .then(pruneRoomDirectory)
+      .catch(error => logger.error('Error cleaning up shared state', { error }));
+  }
 }
 
 // Clean up player from all game-related data structures
@@ -176,51 +604,144 @@ function cleanupPlayer(playerId) {
   activeConnections.delete(playerId);
   
   // Remove from matchmaking queue
-  const queueIndex = matchmakingQueue.indexOf(playerId);
-  if (queueIndex !== -1) {
-    matchmakingQueue.splice(queueIndex, 1);
-    console.log('Removed from matchmaking queue');
-  }
+  removeFromQueue(playerId).then(removed => {
+    if (removed) {
+      logger.info('Removed from matchmaking queue', { socketId: playerId });
+    }
+  });
   
   // Clean up from room if in one
+  leaveRoom(playerId);
+  
+  // Clean up socket type
+  socketTypes.delete(playerId);
+}
+
+// Take a player out of the room they are in. The room closes once there is
+// nothing left to play.
+function leaveRoom(playerId) {
   const roomCode = socketRooms.get(playerId);
   if (roomCode) {
     const room = gameRooms.get(roomCode);
     if (room) {
+      if (room.status === 'playing' && room.players.includes(playerId)) {
+        // A finished board still counts, so its seat stays in the game until
+        // the result is decided
+        if (getPlayerOutcome(room, playerId).finished) {
+          socketRooms.delete(playerId);
+          return;
+        }
+
+        // Walking out of a live game forfeits it and counts as abandoning it
+        const userId = room.userIds.get(playerId);
+        forfeitPlayer(roomCode, room, playerId, 'left');
+        if (!room.bot && userId) {
+          recordAbandonment(userId);
+        }
+      }
+
       // Remove player from room
       room.players = room.players.filter(id => id !== playerId);
       room.guesses.delete(playerId);
+      room.userIds.delete(playerId);
+      room.forfeited?.delete(playerId);
+      room.clocks?.delete(playerId);
+      clearTimeout(room.clockTimers?.get(playerId));
+      room.clockTimers?.delete(playerId);
+
+      // The longest-seated remaining player takes over as host
+      if (room.hostId === playerId && room.players.length > 0) {
+        room.hostId = room.players[0];
+        toRoomAndSpectators(roomCode).emit('hostChanged', { hostId: room.hostId });
+      }
       
-      // If room is empty or only one player left in quickmatch, clean it up
-      if (room.players.length === 0 || (room.isQuickMatch && room.players.length === 1)) {
+      // A player leaving a finished game ends any chance of a rematch
+      if (room.status === 'finished' && room.players.length > 0 && !room.tournament) {
+        toRoomAndSpectators(roomCode).emit('rematchCancelled', { reason: 'left', playerId });
+      }
+
+      // Leaving before a drawn elimination match is replayed forfeits it
+      if (room.tournamentReplayPending && room.players.length === 1) {
+        room.tournamentReplayPending = false;
+        recordTournamentResult(room.tournament, {
+          winner: room.userIds.get(room.players[0]),
+          result: 'forfeit'
+        });
+      }
+
+      // An empty tournament room stays open for its players until the
+      // no-show timer runs out
+      const waitingForTournamentPlayers = room.tournament && room.status === 'waiting';
+
+      // If room is empty, only one player left in quickmatch or the game is
+      // over, clean it up
+      if ((room.players.length === 0 && !waitingForTournamentPlayers) ||
+          ((room.isQuickMatch || room.bot) && room.players.length === 1) ||
+          room.status === 'finished') {
         room.players.forEach(remainingPlayer => {
           socketRooms.delete(remainingPlayer);
           socketTypes.delete(remainingPlayer);
           activeConnections.delete(remainingPlayer);
         });
+        clearRoomTimers(room);
+        releaseSpectators(roomCode, room);
         gameRooms.delete(roomCode);
-        console.log('Cleaned up room after player left:', roomCode);
+        unpublishRoom(roomCode);
+        logger.info('Cleaned up room after player left', { roomCode });
+      } else {
+        publishRoom(roomCode, room);
+        if (room.status === 'playing' && isMultiplayerRoom(room)) {
+          // The players still racing may now all be finished
+          const result = getGameResult(room);
+          if (result) {
+            finishGame(roomCode, result);
+          }
+        }
       }
     }
     socketRooms.delete(playerId);
   }
-  
-  // Clean up socket type
-  socketTypes.delete(playerId);
+}
+
+// Remove a socket's entry from the matchmaking queue, resolving to whether
+// it was queued
+async function removeFromQueue(socketId) {
+  try {
+    return Boolean(await state.removeFromQueue(socketId));
+  } catch (error) {
+    logger.error('Error removing from matchmaking queue', { error });
+    return false;
+  }
+}
+
+// Put an entry (back) in the matchmaking queue for a socket handled here.
+// Resolves to false if the user is already queued from another socket.
+async function addToQueue(socket, entry) {
+  socketTypes.set(socket.id, 'matchmaking');
+  attachSocket(socket);
+  return state.addToQueue({
+    ...entry,
+    instanceId: INSTANCE_ID,
+    homeId: socket.homeId || INSTANCE_ID
+  });
 }
 
 // Handle matchmaking for a socket
-async function handleMatchmaking(socket) {
-  console.log('\n🎯 Player joining matchmaking');
-  console.log('Player ID:', socket.id);
-  console.log('User ID:', socket.userId);
+async function handleMatchmaking(socket, { language = QUICK_MATCH_SETTINGS.language } = {}) {
+  logger.info('🎯 Player joining matchmaking', { language });
   
   // Verify player is authenticated
   if (!socket.userId) {
-    console.log('❌ Player not authenticated');
+    logger.info('❌ Player not authenticated');
     socket.emit('matchmakingError', 'Not authenticated');
     return;
   }
+
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    logger.info('❌ Unsupported language', { language });
+    socket.emit('matchmakingError', `Language must be one of ${SUPPORTED_LANGUAGES.join(', ')}`);
+    return;
+  }
   
   // Clean up any existing game state for this socket
   cleanupPlayer(socket.id);
@@ -228,561 +749,2277 @@ async function handleMatchmaking(socket) {
   // Mark this socket as matchmaking
   socketTypes.set(socket.id, 'matchmaking');
   
-  // Clean up disconnected players from queue
-  const connectedPlayers = matchmakingQueue.filter(playerId => {
-    const playerSocket = io.sockets.sockets.get(playerId);
-    return playerSocket?.connected && playerSocket.userId;
-  });
-  matchmakingQueue.length = 0;
-  matchmakingQueue.push(...connectedPlayers);
-  
-  // Add player to matchmaking queue if not already in it
-  if (!matchmakingQueue.includes(socket.id)) {
-    matchmakingQueue.push(socket.id);
-    console.log('Queue after adding player:', matchmakingQueue);
-    socket.emit('matchmakingJoined');
-  }
-  
-  // If we have 2 players, create a game
-  if (matchmakingQueue.length >= 2) {
-    console.log('\n🎲 Found match, creating game');
-    const player1 = matchmakingQueue.shift();
-    const player2 = matchmakingQueue.shift();
-    
-    console.log('Player 1:', player1);
-    console.log('Player 2:', player2);
+  try {
+    const stats = await PlayerStats.getStats(socket.userId);
     
-    // Verify both players are still connected and authenticated
-    const player1Socket = io.sockets.sockets.get(player1);
-    const player2Socket = io.sockets.sockets.get(player2);
+    // The socket may have left while stats were loading
+    if (!socket.connected || socketTypes.get(socket.id) !== 'matchmaking') {
+      return;
+    }
     
-    if (player1Socket?.connected && player2Socket?.connected && 
-        player1Socket.userId && player2Socket.userId) {
-      try {
-        // Create a new room for these players
-        const roomCode = createGameRoom(player1, player2);
-        
-        if (!roomCode) {
-          throw new Error('Failed to create room');
-        }
-        
-        // Update socket types to game
-        socketTypes.set(player1, 'game');
-        socketTypes.set(player2, 'game');
-        
-        const room = gameRooms.get(roomCode);
-        
-        console.log('\n🚀 Starting game');
-        console.log('Room code:', roomCode);
-        console.log('Room exists:', !!room);
-        console.log('Room players:', room.players);
-        console.log('Target word:', room.targetWord);
-        
-        // Get player stats for opponent data
-        const player1Stats = await PlayerStats.getStats(player1Socket.userId);
-        const player2Stats = await PlayerStats.getStats(player2Socket.userId);
-        
-        // Notify both players that the game is starting
-        player1Socket.emit('gameStart', {
-          targetWord: room.targetWord,
-          players: room.players,
-          roomCode: roomCode,
-          opponentData: {
-            id: player2,
-            username: player2Stats?.username,
-            rating: player2Stats?.rating
-          }
-        });
-        
-        player2Socket.emit('gameStart', {
-          targetWord: room.targetWord,
-          players: room.players,
-          roomCode: roomCode,
-          opponentData: {
-            id: player1,
-            username: player1Stats?.username,
-            rating: player1Stats?.rating
-          }
-        });
-        
-        console.log('Game start events emitted');
-      } catch (error) {
-        console.error('Error during game start:', error);
-        // Clean up if something goes wrong
-        if (player1Socket?.connected) {
-          socketTypes.set(player1, 'matchmaking');
-          matchmakingQueue.unshift(player1);
-          player1Socket.emit('matchmakingError', 'Failed to start game');
-        }
-        if (player2Socket?.connected) {
-          socketTypes.set(player2, 'matchmaking');
-          matchmakingQueue.unshift(player2);
-          player2Socket.emit('matchmakingError', 'Failed to start game');
-        }
-      }
-    } else {
-      console.log('One or both players disconnected or not authenticated during matchmaking');
-      // Put connected and authenticated players back in queue
-      if (player1Socket?.connected && player1Socket.userId) {
-        socketTypes.set(player1, 'matchmaking');
-        matchmakingQueue.unshift(player1);
-      }
-      if (player2Socket?.connected && player2Socket.userId) {
-        socketTypes.set(player2, 'matchmaking');
-        matchmakingQueue.unshift(player2);
-      }
+    // Players who keep abandoning games sit out for a while
+    const cooldownMs = getCooldownRemainingMs(stats);
+    if (cooldownMs > 0) {
+      logger.info('❌ Matchmaking cooldown active', { cooldownUntil: stats.matchmakingCooldownUntil });
+      socketTypes.delete(socket.id);
+      socket.emit('matchmakingError', 'Matchmaking cooldown active');
+      socket.emit('matchmakingCooldown', {
+        cooldownUntil: stats.matchmakingCooldownUntil,
+        remainingMs: cooldownMs
+      });
+      return;
+    }
+
+    // One queue entry per user, even across tabs. The store checks and adds
+    // in one step, so two tabs joining at once can't both get in.
+    const added = await addToQueue(socket, {
+      socketId: socket.id,
+      userId: socket.userId,
+      username: stats?.username,
+      rating: stats?.rating ?? 1000,
+      language,
+      joinedAt: Date.now()
+    });
+    if (!added) {
+      logger.info('❌ User already queued from another connection');
+      socketTypes.delete(socket.id);
+      socket.emit('matchmakingError', 'Already in matchmaking');
+      return;
     }
+    logger.info('Player added to queue', { rating: stats?.rating ?? 1000 });
+    socket.emit('matchmakingJoined');
+  } catch (error) {
+    logger.error('Error joining matchmaking', { error });
+    socketTypes.delete(socket.id);
+    socket.emit('matchmakingError', 'Failed to join matchmaking');
+    return;
   }
+  
+  processMatchmakingQueue();
 }
 
-// Handle player joining a room
-function handleJoinRoom(socket, roomCode, callback) {
-  try {
-    console.log(`\n🎮 === JOIN REQUEST ===`);
-    console.log('Room code:', roomCode);
-    console.log('Socket ID:', socket.id);
-    console.log('Current socket type:', socketTypes.get(socket.id));
-    roomCode = roomCode?.toUpperCase();
+// Pair up queued players whose ratings are close enough and tell everyone
+// still waiting where they stand. Only one instance pairs at a time. A pass
+// pairs many players, so it logs outside the context of the socket whose
+// event started it.
+function processMatchmakingQueue() {
+  return logger.withNewLogContext({}, runMatchmakingPass);
+}
 
-    // Validate room code
-    if (!roomCode) {
-      console.log('❌ Invalid room code');
-      if (typeof callback === 'function') {
-        callback({ success: false, error: 'Invalid room code' });
-      }
+async function runMatchmakingPass() {
+  try {
+    if (!await state.acquireLock('matchmaking', INSTANCE_ID, MATCHMAKING_LOCK_MS)) {
       return;
     }
+  } catch (error) {
+    logger.error('Error locking matchmaking queue', { error });
+    return;
+  }
 
-    const room = gameRooms.get(roomCode);
-    if (!room) {
-      console.log(`❌ Room not found: ${roomCode}`);
-      if (typeof callback === 'function') {
-        callback({ success: false, error: 'Room not found' });
-      }
-      return;
-    }
+  try {
+    await pairQueuedPlayers();
+  } catch (error) {
+    logger.error('Error processing matchmaking queue', { error });
+  } finally {
+    await state.releaseLock('matchmaking', INSTANCE_ID).catch(() => {});
+  }
+}
 
-    if (room.players.length >= 2) {
-      console.log(`❌ Room ${roomCode} is full`);
-      if (typeof callback === 'function') {
-        callback({ success: false, error: 'Room is full' });
-      }
-      return;
+async function pairQueuedPlayers() {
+  // Clean up disconnected players from queue. Entries added through another
+  // instance count as connected while that instance is up.
+  const alive = new Map([[INSTANCE_ID, true]]);
+  const isAlive = async (instanceId) => {
+    if (!alive.has(instanceId)) {
+      alive.set(instanceId, await state.isAlive(instanceId));
     }
+    return alive.get(instanceId);
+  };
+  const queue = [];
+  for (const entry of await state.getQueue()) {
+    const playerSocket = entry.instanceId === INSTANCE_ID ? getSocket(entry.socketId) : null;
+    const connected = entry.instanceId === INSTANCE_ID
+      ? playerSocket?.connected && playerSocket.userId === entry.userId
+      : await isAlive(entry.instanceId) && await isAlive(entry.homeId);
+    if (connected) {
+      queue.push(entry);
+    } else {
+      await state.removeFromQueue(entry.socketId);
+    }
+  }
+  
+  const now = Date.now();
+  const matches = [];
+  let match;
+  while ((match = findMatch(queue, now))) {
+    const removed = [];
+    for (const entry of match) {
+      queue.splice(queue.indexOf(entry), 1);
+      removed.push(await state.removeFromQueue(entry.socketId));
+    }
+    // A player who left in the meantime can't be matched
+    if (removed.every(Boolean)) {
+      match.forEach(entry => {
+        recordMatchWait(now - entry.joinedAt);
+        metrics.matchmakingWait.observe({ matchedWith: 'player' }, (now - entry.joinedAt) / 1000);
+      });
+      matches.push(match);
+    } else {
+      await Promise.all(removed.filter(Boolean).map(entry => state.addToQueue(entry)));
+    }
+  }
+  
+  // Started after pairing so players put back on failure are not re-paired in this pass
+  matches.forEach(([entry1, entry2]) => startQuickMatch(entry1, entry2));
 
-    // Check if player is already in the room
-    if (room.players.includes(socket.id)) {
-      console.log(`⚠️ Player ${socket.id} is already in room ${roomCode}`);
-      if (typeof callback === 'function') {
-        callback({ 
-          success: true,
-          targetWord: room.targetWord,
-          players: room.players,
-          roomCode: roomCode
-        });
+  // Players who have waited too long get a practice game against a bot
+  if (BOT_FALLBACK_MS > 0) {
+    for (const entry of queue.filter(waiting => now - waiting.joinedAt >= BOT_FALLBACK_MS)) {
+      queue.splice(queue.indexOf(entry), 1);
+      const playerSocket = await state.removeFromQueue(entry.socketId) && getQueuedSocket(entry);
+      if (playerSocket) {
+        logger.info('🤖 No opponent found, starting bot game', { userId: entry.userId });
+        metrics.matchmakingWait.observe({ matchedWith: 'bot' }, (now - entry.joinedAt) / 1000);
+        startBotGame(playerSocket, getFallbackLevel(entry.rating), {
+          ...QUICK_MATCH_SETTINGS,
+          language: entry.language
+        }, true);
       }
-      return;
     }
+  }
+  
+  queue.forEach(entry => {
+    io.to(entry.socketId).emit('matchmakingStatus', getQueueStatus(queue, entry, now));
+  });
+}
 
-    // Add player to room
-    room.players.push(socket.id);
-    socketRooms.set(socket.id, roomCode);
-    socketTypes.set(socket.id, 'game'); // Set socket type to game
-    socket.join(roomCode);
-
-    console.log(`\n✅ === PLAYER JOINED ===`);
-    console.log('Player ID:', socket.id);
-    console.log('Room code:', roomCode);
-    console.log('Room players:', room.players);
-    console.log('Socket type:', socketTypes.get(socket.id));
-    console.log('=====================\n');
+// Socket for a queue entry, which may have been queued through another
+// instance
+function getQueuedSocket(entry) {
+  if (getSocket(entry.socketId)) {
+    return getSocket(entry.socketId);
+  }
+  return entry.homeId !== INSTANCE_ID
+    ? addRemoteSocket(entry.socketId, entry.homeId, entry.userId)
+    : undefined;
+}
 
-    // Send success response to joining player
-    if (typeof callback === 'function') {
-      callback({ 
-        success: true,
-        targetWord: room.targetWord,
+// Start a quick match between two queue entries
+function startQuickMatch(entry1, entry2) {
+  const player1 = entry1.socketId;
+  const player2 = entry2.socketId;
+  logger.info('🎲 Found match, creating game', {
+    players: [
+      { socketId: player1, userId: entry1.userId, rating: entry1.rating },
+      { socketId: player2, userId: entry2.userId, rating: entry2.rating }
+    ]
+  });
+  
+  // Verify both players are still connected and authenticated
+  const player1Socket = getQueuedSocket(entry1);
+  const player2Socket = getQueuedSocket(entry2);
+  
+  if (player1Socket?.connected && player2Socket?.connected && 
+      player1Socket.userId && player2Socket.userId) {
+    try {
+      // Create a new room for these players
+      const roomCode = createGameRoom(player1, player2, entry1.language);
+      
+      if (!roomCode) {
+        throw new Error('Failed to create room');
+      }
+      
+      // Update socket types to game
+      socketTypes.set(player1, 'game');
+      socketTypes.set(player2, 'game');
+      
+      const room = gameRooms.get(roomCode);
+      
+      logger.info('🚀 Starting game', { roomCode, players: room.players });
+      
+      // Notify both players that the game is starting
+      // The target word stays on the server until gameOver
+      player1Socket.emit('gameStart', {
+        wordLength: room.targetWord.length,
+        settings: room.settings,
         players: room.players,
         roomCode: roomCode,
-        playerId: socket.id
+        opponentData: {
+          id: player2,
+          username: entry2.username,
+          rating: entry2.rating
+        }
       });
-    }
-
-    // Notify other players in the room
-    socket.to(roomCode).emit('playerJoined', {
-      playerId: socket.id,
-      players: room.players
-    });
-
-    // Start game if room is full
-    if (room.players.length === 2) {
-      room.status = 'playing';
-      io.to(roomCode).emit('gameStart', {
-        targetWord: room.targetWord,
+      
+      player2Socket.emit('gameStart', {
+        wordLength: room.targetWord.length,
+        settings: room.settings,
         players: room.players,
-        roomCode: roomCode
+        roomCode: roomCode,
+        opponentData: {
+          id: player1,
+          username: entry1.username,
+          rating: entry1.rating
+        }
       });
+      
+      startRoomClocks(roomCode, room);
+      logger.debug('Game start events emitted', { roomCode });
+    } catch (error) {
+      logger.error('Error during game start', { error });
+      // Clean up if something goes wrong
+      if (player1Socket?.connected) {
+        addToQueue(player1Socket, entry1).catch(error => logger.error('Error requeueing player', { error }));
+        player1Socket.emit('matchmakingError', 'Failed to start game');
+      }
+      if (player2Socket?.connected) {
+        addToQueue(player2Socket, entry2).catch(error => logger.error('Error requeueing player', { error }));
+        player2Socket.emit('matchmakingError', 'Failed to start game');
+      }
     }
-  } catch (error) {
-    console.error('❌ Error joining room:', error);
-    if (typeof callback === 'function') {
-      callback({ success: false, error: 'Failed to join room' });
+  } else {
+    logger.info('One or both players disconnected or not authenticated during matchmaking');
+    // Put connected and authenticated players back in queue
+    if (player1Socket?.connected && player1Socket.userId) {
+      addToQueue(player1Socket, entry1).catch(error => logger.error('Error requeueing player', { error }));
+    }
+    if (player2Socket?.connected && player2Socket.userId) {
+      addToQueue(player2Socket, entry2).catch(error => logger.error('Error requeueing player', { error }));
+    }
+  }
+}
+
+// Room timers outlive the event that set them, so they log with only the room
+// as context
+function setRoomTimeout(roomCode, callback, ms) {
+  return logger.withNewLogContext({ roomCode }, () => setTimeout(callback, ms));
+}
+
+// Remove a finished room once clients have had time to show the result.
+// Two-player rooms stay open for the rematch window instead.
+function scheduleRoomCleanup(roomCode) {
+  const room = gameRooms.get(roomCode);
+  const rematchOpen = canRematch(room);
+  room.cleanupTimer = setRoomTimeout(roomCode, () => {
+    if (rematchOpen) {
+      toRoomAndSpectators(roomCode).emit('rematchCancelled', { reason: 'expired' });
+    }
+    closeRoom(roomCode, room);
+  }, rematchOpen ? REMATCH_WINDOW_MS : 5000);
+}
+
+// Remove a finished room and its players' mappings
+function closeRoom(roomCode, room) {
+  if (gameRooms.get(roomCode) !== room) {
+    return;
+  }
+  clearRoomTimers(room);
+  room.players.forEach(playerId => {
+    socketTypes.delete(playerId);
+    socketRooms.delete(playerId);
+  });
+  releaseSpectators(roomCode, room);
+  gameRooms.delete(roomCode);
+  unpublishRoom(roomCode);
+  logger.info('Closed game room', { roomCode });
+}
+
+// A rematch needs the same two players, both still connected. Tournament
+// rooms are driven by the tournament instead.
+function canRematch(room) {
+  return room.players.length === 2 && !isMultiplayerRoom(room) && !room.tournament &&
+    room.players.every(playerId => getSocket(playerId)?.connected);
+}
+
+// Start the next game of a series in the same room with a new word
+function startRematch(roomCode, room) {
+  clearTimeout(room.cleanupTimer);
+  room.rematchRequest = null;
+  if (isSeriesOver(room.series)) {
+    room.series = createSeries(room.series.bestOf);
+  }
+
+  room.gameId = crypto.randomUUID();
+  room.targetWord = getRandomWord(room.settings.wordLength, room.settings.language);
+  room.guesses = new Map();
+  room.forfeited = new Set();
+  room.mutes = new Map();
+  room.createdAt = new Date();
+  room.finishedAt = null;
+  room.clocks = null;
+
+  logger.info('🔁 Rematch', { roomCode, gameId: room.gameId });
+  logger.debug('Target word chosen', { roomCode, targetWord: room.targetWord });
+  startRoomGame(roomCode, room);
+}
+
+// Stop any pending forfeit timers for players who dropped out of a room
+function clearDisconnectTimers(room) {
+  for (const seat of room.disconnectedPlayers.values()) {
+    clearTimeout(seat.timer);
+  }
+  room.disconnectedPlayers.clear();
+}
+
+// Stop every timer a room owns: forfeit timers, clock flag timers, the bot's
+// move, the tournament no-show timer and the finished room's cleanup timer
+function clearRoomTimers(room) {
+  clearDisconnectTimers(room);
+  clearTimeout(room.cleanupTimer);
+  clearTimeout(room.bot?.timer);
+  clearTimeout(room.noShowTimer);
+  room.clockTimers?.forEach(timer => clearTimeout(timer));
+  room.clockTimers?.clear();
+}
+
+// Name of the socket.io room a game's spectators join
+function getSpectatorChannel(roomCode) {
+  return `${roomCode}:spectators`;
+}
+
+// Broadcast to a game's players and spectators. Pass a socket to leave that
+// socket out.
+function toRoomAndSpectators(roomCode, from = io) {
+  return from.to(roomCode).to(getSpectatorChannel(roomCode));
+}
+
+// Tell everyone in a room how many people are watching
+function broadcastSpectatorCount(roomCode, room) {
+  toRoomAndSpectators(roomCode).emit('spectatorCount', {
+    roomCode,
+    count: room.spectators.size
+  });
+}
+
+// Stop a socket spectating, returning whether it was watching a room
+function stopSpectating(socket) {
+  const roomCode = spectatingRooms.get(socket.id);
+  if (!roomCode) {
+    return false;
+  }
+
+  spectatingRooms.delete(socket.id);
+  socket.leave(getSpectatorChannel(roomCode));
+  const room = gameRooms.get(roomCode);
+  if (room?.spectators.delete(socket.id)) {
+    broadcastSpectatorCount(roomCode, room);
+  }
+  return true;
+}
+
+// Drop every spectator of a room that is being removed
+function releaseSpectators(roomCode, room) {
+  room.spectators.forEach(spectatorId => spectatingRooms.delete(spectatorId));
+  room.spectators.clear();
+  io.socketsLeave(getSpectatorChannel(roomCode));
+}
+
+// Start the players' clocks for a timed game
+function startRoomClocks(roomCode, room) {
+  if (!room.settings.timeControl) {
+    return;
+  }
+
+  startClocks(room);
+  room.clockTimers = new Map();
+  room.players.forEach(playerId => scheduleFlag(roomCode, room, playerId));
+  toRoomAndSpectators(roomCode).emit('clockUpdate', getClockSnapshot(room));
+}
+
+// (Re)arm the timer that flags a player when their clock runs out
+function scheduleFlag(roomCode, room, playerId) {
+  clearTimeout(room.clockTimers.get(playerId));
+  room.clockTimers.delete(playerId);
+
+  const clock = room.clocks.get(playerId);
+  if (!clock || clock.runningSince === null) {
+    return;
+  }
+
+  room.clockTimers.set(playerId, setRoomTimeout(roomCode, () => {
+    handleFlag(roomCode, room, playerId);
+  }, getRemainingMs(clock)));
+}
+
+// A player's clock ran out: they lose, which may decide the game
+function handleFlag(roomCode, room, playerId) {
+  if (gameRooms.get(roomCode) !== room || room.status !== 'playing' || !room.clocks.has(playerId)) {
+    return;
+  }
+
+  logger.info('⏰ Player ran out of time', { roomCode, playerId });
+  room.clockTimers.delete(playerId);
+  flagPlayer(room, playerId);
+
+  toRoomAndSpectators(roomCode).emit('playerFlagged', { playerId });
+  toRoomAndSpectators(roomCode).emit('clockUpdate', getClockSnapshot(room));
+
+  const result = getGameResult(room);
+  if (result) {
+    finishGame(roomCode, result);
+  }
+}
+
+// Keep clients' countdowns in sync with the server clocks
+function broadcastClocks() {
+  for (const [roomCode, room] of gameRooms.entries()) {
+    if (room.status === 'playing' && room.clocks) {
+      toRoomAndSpectators(roomCode).emit('clockUpdate', getClockSnapshot(room));
+    }
+  }
+}
+
+// Keep a disconnected player's seat for the grace window instead of removing
+// them, and forfeit the game if they have not rejoined when it runs out
+function holdSeat(socket, roomCode, room) {
+  const playerId = socket.id;
+  logger.info('⏳ Holding seat', { roomCode, userId: socket.userId });
+  reserveSeat(roomCode, room, playerId, socket.userId);
+
+  // Drop the dead socket's own bookkeeping; the seat stays in room.players
+  activeConnections.delete(playerId);
+  socketRooms.delete(playerId);
+  socketTypes.delete(playerId);
+  removeFromQueue(playerId);
+
+  toRoomAndSpectators(roomCode, socket).emit('playerDisconnected', {
+    playerId,
+    graceMs: RECONNECT_GRACE_MS
+  });
+}
+
+// Mark a seat as waiting for its player to rejoin. When the grace window runs
+// out they forfeit a live game they are still playing, or give up their place
+// in a room that has not started.
+function reserveSeat(roomCode, room, playerId, userId) {
+  const timer = setRoomTimeout(roomCode, () => {
+    if (gameRooms.get(roomCode) !== room || !room.disconnectedPlayers.has(playerId)) {
+      return;
+    }
+    logger.info('⌛ Grace window expired', { roomCode, playerId, userId });
+    room.disconnectedPlayers.delete(playerId);
+    if (room.status === 'waiting') {
+      socketRooms.set(playerId, roomCode);
+      leaveRoom(playerId);
+      toRoomAndSpectators(roomCode).emit('playerLeft', { playerId });
+      return;
+    }
+    // A finished board is left for the result to decide
+    if (getPlayerOutcome(room, playerId).finished) {
+      return;
+    }
+    const abandoned = room.status === 'playing' && !room.bot;
+    forfeitPlayer(roomCode, room, playerId, 'abandoned');
+    if (abandoned && userId) {
+      recordAbandonment(userId);
+    }
+  }, RECONNECT_GRACE_MS);
+
+  room.disconnectedPlayers.set(playerId, {
+    userId,
+    disconnectedAt: new Date(),
+    timer
+  });
+}
+
+// Count an abandoned game against a player, which may start a matchmaking
+// cooldown
+async function recordAbandonment(userId) {
+  try {
+    const stats = await PlayerStats.recordAbandonment(userId);
+    logger.info('🚪 Abandonment recorded', {
+      userId,
+      abandonmentsToday: stats.recentAbandonments.length,
+      cooldownUntil: stats.matchmakingCooldownUntil || undefined
+    });
+  } catch (error) {
+    logger.error('Error recording abandonment', { error });
+  }
+}
+
+// A player gives up their seat in a live game. In a two-player game the
+// opponent wins; in a battle royale the player is eliminated and the rest
+// play on. reason is 'resigned', 'abandoned' or 'left'.
+function forfeitPlayer(roomCode, room, playerId, reason) {
+  if (!isMultiplayerRoom(room)) {
+    finishGame(roomCode, getForfeitResult(room, playerId, reason));
+    return;
+  }
+
+  logger.info('🏳️ Player forfeited', { roomCode, playerId, reason });
+  room.forfeited.add(playerId);
+  stopClock(room, playerId);
+  clearTimeout(room.clockTimers?.get(playerId));
+  room.clockTimers?.delete(playerId);
+  toRoomAndSpectators(roomCode).emit('playerForfeited', { playerId, reason });
+
+  const result = getGameResult(room);
+  if (result) {
+    finishGame(roomCode, result);
+  }
+}
+
+// Find the room that has a seat for an authenticated user
+function findRoomByUserId(userId) {
+  for (const [roomCode, room] of gameRooms.entries()) {
+    if (room.status === 'finished') {
+      continue;
+    }
+    for (const [playerId, seatUserId] of room.userIds.entries()) {
+      if (seatUserId === userId) {
+        return { roomCode, room, playerId };
+      }
+    }
+  }
+  return null;
+}
+
+// Move a seat, with its guesses, from a previous socket to a new one
+function reseatPlayer(room, roomCode, previousId, socket) {
+  const seat = room.disconnectedPlayers.get(previousId);
+  if (seat) {
+    clearTimeout(seat.timer);
+    room.disconnectedPlayers.delete(previousId);
+  }
+
+  room.players[room.players.indexOf(previousId)] = socket.id;
+  if (room.guesses.has(previousId)) {
+    room.guesses.set(socket.id, room.guesses.get(previousId));
+    room.guesses.delete(previousId);
+  }
+  room.userIds.delete(previousId);
+  room.userIds.set(socket.id, socket.userId);
+  if (room.hostId === previousId) {
+    room.hostId = socket.id;
+  }
+  if (room.mutes?.has(previousId)) {
+    room.mutes.set(socket.id, room.mutes.get(previousId));
+    room.mutes.delete(previousId);
+  }
+  room.mutes?.forEach(muted => {
+    if (muted.delete(previousId)) {
+      muted.add(socket.id);
+    }
+  });
+  if (room.forfeited?.delete(previousId)) {
+    room.forfeited.add(socket.id);
+  }
+  if (room.clocks?.has(previousId)) {
+    room.clocks.set(socket.id, room.clocks.get(previousId));
+    room.clocks.delete(previousId);
+    clearTimeout(room.clockTimers.get(previousId));
+    room.clockTimers.delete(previousId);
+    scheduleFlag(roomCode, room, socket.id);
+  }
+
+  // The previous socket may still be connected, e.g. from another tab
+  io.in(previousId).socketsLeave(roomCode);
+  socketRooms.delete(previousId);
+  socketTypes.delete(previousId);
+
+  socketRooms.set(socket.id, roomCode);
+  socketTypes.set(socket.id, 'game');
+  socket.join(roomCode);
+  attachSocket(socket);
+}
+
+// Stats anyone may see: no friend lists, requests or abandonment record.
+// Those are only sent to the player themselves.
+function getPublicStats(stats) {
+  return {
+    userId: stats.userId,
+    username: stats.username,
+    gamesPlayed: stats.gamesPlayed,
+    gamesWon: stats.gamesWon,
+    gamesDrawn: stats.gamesDrawn,
+    currentStreak: stats.currentStreak,
+    bestStreak: stats.bestStreak,
+    dailyStreak: stats.dailyStreak,
+    bestDailyStreak: stats.bestDailyStreak,
+    lastDailyDay: stats.lastDailyDay,
+    rating: stats.rating,
+    ratingDeviation: stats.ratingDeviation,
+    provisional: stats.provisional,
+    averageGuesses: stats.averageGuesses,
+    ratingChange: stats.ratingChange
+  };
+}
+
+// Apply stats and rating changes for every player of a finished game. Each
+// player is rated against every opponent, scoring by finishing place.
+// Returns the rating change per player id.
+async function applyGameResult(roomCode, room, result) {
+  const ratingChanges = {};
+  const seated = room.players.filter(playerId => room.userIds.get(playerId));
+
+  // Guests are left out of rating; it needs at least two authenticated players
+  if (seated.length < 2) {
+    logger.info('Skipping stats update, game did not have two authenticated players', { roomCode });
+    return ratingChanges;
+  }
+
+  // Every update uses the ratings from before this game
+  let allStats;
+  try {
+    allStats = await Promise.all(
+      seated.map(playerId => PlayerStats.getStats(room.userIds.get(playerId)))
+    );
+  } catch (error) {
+    logger.error('Error loading player stats', { error });
+    io.to(roomCode).emit('error', { message: 'Failed to update stats' });
+    return ratingChanges;
+  }
+
+  // One player's update failing doesn't stop the others being rated
+  for (const playerId of seated) {
+    const userId = room.userIds.get(playerId);
+    try {
+      logger.debug('📊 Updating stats for player', { roomCode, userId });
+      const stats = await PlayerStats.updateStats(userId, {
+        won: result.winner === playerId,
+        draw: result.isDraw && result.placements[playerId] === 1,
+        guesses: result.guessesUsed[playerId],
+        opponents: seated
+          .filter(opponentId => opponentId !== playerId)
+          .map(opponentId => ({
+            stats: allStats[seated.indexOf(opponentId)],
+            score: getPairwiseScore(result, playerId, opponentId)
+          }))
+      });
+      ratingChanges[playerId] = stats.ratingChange;
+
+      io.to(roomCode).emit('statsUpdate', {
+        playerId,
+        stats: getPublicStats(stats)
+      });
+    } catch (error) {
+      logger.error('Error updating player stats', { userId, error });
+      io.to(playerId).emit('error', { message: 'Failed to update stats' });
+    }
+  }
+  return ratingChanges;
+}
+
+// How a game ended: 'win', 'draw' or 'forfeit'
+function getOutcome(result) {
+  return result.isDraw ? 'draw' : (result.forfeitedBy ? 'forfeit' : 'win');
+}
+
+// Store a finished game so it can be reviewed in match history
+async function recordGameHistory(room, result, ratingChanges) {
+  try {
+    await GameHistory.recordGame({
+      gameId: room.gameId,
+      mode: room.mode,
+      targetWord: room.targetWord,
+      startedAt: (room.startedAt || room.createdAt).toISOString(),
+      finishedAt: room.finishedAt.toISOString(),
+      outcome: getOutcome(result),
+      forfeitReason: result.forfeitReason || null,
+      players: room.players.map((playerId, index) => ({
+        userId: room.userIds.get(playerId) || null,
+        playerNumber: index + 1,
+        result: result.isDraw ? 'draw' : (result.winner === playerId ? 'win' : 'loss'),
+        place: result.placements?.[playerId] ?? null,
+        guesses: room.guesses.get(playerId) || [],
+        guessesUsed: result.guessesUsed[playerId] || 0,
+        solveTimeMs: result.solveTimesMs?.[playerId] ?? null,
+        ratingChange: ratingChanges[playerId] ?? null
+      }))
+    });
+    logger.info('📚 Recorded game history', { gameId: room.gameId });
+  } catch (error) {
+    logger.error('Error recording game history', { error });
+  }
+}
+
+// Move a room to finished exactly once, announce the result and record stats
+async function finishGame(roomCode, result) {
+  const room = gameRooms.get(roomCode);
+  if (!room || room.status === 'finished') {
+    return;
+  }
+
+  room.status = 'finished';
+  room.finishedAt = new Date();
+  room.players.forEach(playerId => stopClock(room, playerId));
+  clearRoomTimers(room);
+  publishRoom(roomCode, room);
+  logger.info('🏁 Game over', { roomCode, gameId: room.gameId, mode: room.mode, outcome: getOutcome(result), winner: result.winner || undefined });
+  metrics.gamesFinished.inc({ mode: room.mode, outcome: getOutcome(result) });
+  room.players
+    .filter(playerId => playerId !== room.bot?.playerId)
+    .forEach(playerId => metrics.guessesPerGame.observe({ mode: room.mode }, result.guessesUsed[playerId] || 0));
+
+  // Two-player rooms keep a series score across rematches
+  if (room.players.length === 2 && !isMultiplayerRoom(room)) {
+    room.series = room.series || createSeries();
+    recordSeriesGame(room.series, result.winner ? room.players.indexOf(result.winner) : null);
+  }
+  // A rematch replaces the room's game fields and a player leaving is removed
+  // from them, so record this game from a copy
+  const game = {
+    ...room,
+    players: [...room.players],
+    userIds: new Map(room.userIds),
+    guesses: new Map(room.guesses),
+    forfeited: new Set(room.forfeited)
+  };
+
+  toRoomAndSpectators(roomCode).emit('gameOver', {
+    gameId: room.gameId,
+    winner: result.winner,
+    winnerNumber: result.winner ? room.players.indexOf(result.winner) + 1 : null,
+    targetWord: room.targetWord,
+    isDraw: result.isDraw,
+    guessesUsed: result.guessesUsed,
+    solveTimesMs: result.solveTimesMs,
+    placements: result.placements,
+    forfeitedBy: result.forfeitedBy || null,
+    forfeitReason: result.forfeitReason || null,
+    series: getSeriesState(room),
+    rematchWindowMs: canRematch(room) ? REMATCH_WINDOW_MS : null
+  });
+  // Spectators get the letters once there is nothing left to give away
+  io.to(getSpectatorChannel(roomCode)).emit('spectatorBoard', {
+    roomCode,
+    board: getSpectatorBoard(room)
+  });
+
+  // Elimination matches need a winner, so a draw is replayed with a new word
+  const isReplay = room.tournament?.format === 'singleElimination' && result.isDraw;
+  if (isReplay) {
+    scheduleTournamentReplay(roomCode, room);
+  } else {
+    scheduleRoomCleanup(roomCode);
+  }
+
+  // A shutdown waits for these writes before the process exits
+  const recording = recordGameResult(roomCode, game, result, isReplay);
+  pendingResults.add(recording);
+  await recording.finally(() => pendingResults.delete(recording));
+}
+
+// Rate the players, store the game and settle its tournament match
+async function recordGameResult(roomCode, game, result, isReplay) {
+  const ratingChanges = await applyGameResult(roomCode, game, result);
+  await recordGameHistory(game, result, ratingChanges);
+
+  if (game.tournament && !isReplay) {
+    await recordTournamentResult(game.tournament, {
+      winner: result.winner ? game.userIds.get(result.winner) : null,
+      result: getOutcome(result),
+      gameId: game.gameId
+    });
+  }
+}
+
+// Client view of a daily challenge attempt. The word is only included once
+// the attempt is over.
+function getDailyState(attempt) {
+  const isFinished = attempt.status !== 'playing';
+  return {
+    dayKey: attempt.dayKey,
+    status: attempt.status,
+    wordLength: getDailyWord(attempt.dayKey).length,
+    maxAttempts: MAX_ATTEMPTS,
+    guesses: attempt.guesses,
+    solveTimeMs: attempt.solveTimeMs,
+    targetWord: isFinished ? getDailyWord(attempt.dayKey) : undefined
+  };
+}
+
+// Players a player has muted for the rest of the match
+function getMutedPlayers(room, playerId) {
+  room.mutes = room.mutes || new Map();
+  if (!room.mutes.has(playerId)) {
+    room.mutes.set(playerId, new Set());
+  }
+  return room.mutes.get(playerId);
+}
+
+// Score a validated guess, add it to the player's board and tell the room.
+// A guesser with a socket gets their letters back; everyone else only sees
+// the colour pattern.
+function recordGuess(roomCode, room, playerId, guess) {
+  const playerNumber = room.players.indexOf(playerId) + 1;
+  if (!room.guesses.has(playerId)) {
+    room.guesses.set(playerId, []);
+  }
+  
+  const playerGuesses = room.guesses.get(playerId);
+  const normalizedGuess = normalizeWord(guess, room.settings.language);
+  const feedback = scoreGuess(normalizedGuess, room.targetWord);
+  playerGuesses.push({ guess: normalizedGuess, feedback, at: new Date().toISOString() });
+  const guessNumber = playerGuesses.length - 1; // 0-based index
+
+  if (room.clocks) {
+    recordGuessTime(room, playerId, getPlayerOutcome(room, playerId).finished);
+    scheduleFlag(roomCode, room, playerId);
+    toRoomAndSpectators(roomCode).emit('clockUpdate', getClockSnapshot(room));
+  }
+
+  logger.debug('📤 Emitting guess update', {
+    roomCode,
+    playerId,
+    playerNumber,
+    guessNumber,
+    guess: normalizedGuess,
+    feedback
+  });
+
+  const guessUpdate = {
+    playerId,
+    playerNumber,
+    feedback,
+    guessNumber,
+    isQuickMatch: room.isQuickMatch
+  };
+
+  const playerSocket = getSocket(playerId);
+  if (playerSocket) {
+    playerSocket.emit('guessUpdate', { ...guessUpdate, guess: normalizedGuess });
+    toRoomAndSpectators(roomCode, playerSocket).emit('guessUpdate', guessUpdate);
+  } else {
+    toRoomAndSpectators(roomCode).emit('guessUpdate', guessUpdate);
+  }
+
+  return {
+    guess: normalizedGuess,
+    feedback,
+    guessNumber,
+    attemptsLeft: room.settings.maxAttempts - playerGuesses.length
+  };
+}
+
+// Start a practice game between a player and a solver bot. Bot games are
+// never rated.
+function startBotGame(socket, level, settings, isQuickMatch) {
+  let roomCode;
+  do {
+    roomCode = generateRoomCode();
+  } while (gameRooms.has(roomCode));
+
+  const botId = `bot:${crypto.randomUUID()}`;
+  const room = {
+    gameId: crypto.randomUUID(),
+    mode: 'practice',
+    players: [socket.id, botId],
+    settings,
+    targetWord: getRandomWord(settings.wordLength, settings.language),
+    status: 'playing',
+    guesses: new Map(),
+    createdAt: new Date(),
+    startedAt: new Date(),
+    isQuickMatch,
+    disconnectedPlayers: new Map(),
+    forfeited: new Set(),
+    spectators: new Set(),
+    userIds: new Map([[socket.id, socket.userId]]),
+    bot: { playerId: botId, level, timer: null }
+  };
+
+  stopSpectating(socket);
+  gameRooms.set(roomCode, room);
+  socketRooms.set(socket.id, roomCode);
+  socketTypes.set(socket.id, 'game');
+  socket.join(roomCode);
+  attachSocket(socket);
+  publishRoom(roomCode, room);
+  metrics.gamesStarted.inc({ mode: room.mode });
+
+  logger.addLogContext({ roomCode });
+  logger.info('🤖 Bot game created', { roomCode, level });
+  logger.debug('Target word chosen', { roomCode, targetWord: room.targetWord });
+
+  socket.emit('gameStart', {
+    wordLength: room.targetWord.length,
+    settings: room.settings,
+    players: room.players,
+    roomCode,
+    opponentData: {
+      id: botId,
+      username: `Bot (${level})`,
+      isBot: true,
+      level
+    }
+  });
+  startRoomClocks(roomCode, room);
+  scheduleBotMove(roomCode, room);
+  return roomCode;
+}
+
+// Queue the bot's next guess after its think time
+function scheduleBotMove(roomCode, room) {
+  room.bot.timer = setRoomTimeout(roomCode, () => playBotMove(roomCode, room), getThinkTimeMs(room.bot.level));
+}
+
+function playBotMove(roomCode, room) {
+  if (gameRooms.get(roomCode) !== room || room.status !== 'playing') {
+    return;
+  }
+
+  const botId = room.bot.playerId;
+  const guess = chooseBotGuess(room.bot.level, room.guesses.get(botId) || [], room.settings);
+  const errorCode = guess ? validateGuess(room, botId, guess) : 'INVALID_GUESS';
+  if (errorCode) {
+    logger.info('🤖 Bot stopped guessing', { roomCode, errorCode });
+    return;
+  }
+
+  recordGuess(roomCode, room, botId, guess);
+  const result = getGameResult(room);
+  if (result) {
+    finishGame(roomCode, result);
+  } else if (!getPlayerOutcome(room, botId).finished) {
+    scheduleBotMove(roomCode, room);
+  }
+}
+
+function getTournamentChannel(tournamentId) {
+  return `tournament:${tournamentId}`;
+}
+
+// Tournament as sent to clients, with the current standings
+function getTournamentView(tournament) {
+  return { ...tournament, standings: getStandings(tournament) };
+}
+
+function broadcastTournament(tournament) {
+  io.to(getTournamentChannel(tournament.tournamentId)).emit('tournamentUpdate', getTournamentView(tournament));
+}
+
+// Open a room for every match of the current round still waiting for one,
+// then tell everyone following the tournament
+async function openTournamentMatches(tournament) {
+  let latest = tournament;
+  if (tournament.status === 'running') {
+    const pending = getCurrentRound(tournament).matches.filter(match => match.status === 'pending');
+    for (const match of pending) {
+      const roomCode = createTournamentRoom(tournament, match);
+      latest = await Tournament.setMatchRoom(tournament.tournamentId, match.matchId, roomCode);
+    }
+  }
+  broadcastTournament(latest);
+}
+
+// A waiting room reserved for the two players of a tournament match. It
+// starts when both have joined; a player who doesn't turn up in time forfeits.
+function createTournamentRoom(tournament, match) {
+  let roomCode;
+  do {
+    roomCode = generateRoomCode();
+  } while (gameRooms.has(roomCode));
+
+  const room = {
+    gameId: crypto.randomUUID(),
+    mode: 'tournament',
+    players: [],
+    settings: { ...tournament.settings },
+    targetWord: getRandomWord(tournament.settings.wordLength, tournament.settings.language),
+    status: 'waiting',
+    guesses: new Map(),
+    createdAt: new Date(),
+    isQuickMatch: false,
+    disconnectedPlayers: new Map(),
+    forfeited: new Set(),
+    spectators: new Set(),
+    userIds: new Map(),
+    tournament: {
+      tournamentId: tournament.tournamentId,
+      matchId: match.matchId,
+      format: tournament.format,
+      reservedFor: [match.player1, match.player2]
+    }
+  };
+  room.noShowAt = Date.now() + TOURNAMENT_NO_SHOW_MS;
+  room.noShowTimer = setRoomTimeout(roomCode, () => handleNoShow(roomCode, room), TOURNAMENT_NO_SHOW_MS);
+  gameRooms.set(roomCode, room);
+  publishRoom(roomCode, room);
+
+  logger.info('🏆 Tournament room created', {
+    roomCode,
+    tournamentId: tournament.tournamentId,
+    matchId: match.matchId
+  });
+  logger.debug('Target word chosen', { roomCode, targetWord: room.targetWord });
+  return roomCode;
+}
+
+// The no-show window ran out before both players joined: whoever turned up
+// wins, and if nobody did, both forfeit
+function handleNoShow(roomCode, room) {
+  if (gameRooms.get(roomCode) !== room || room.status !== 'waiting') {
+    return;
+  }
+
+  const present = room.players.map(playerId => room.userIds.get(playerId));
+  const outcome = present.length === 1
+    ? { winner: present[0], result: 'forfeit' }
+    : { winner: null, result: 'doubleForfeit' };
+
+  logger.info('⌛ No-show in tournament room', { roomCode, result: outcome.result });
+  toRoomAndSpectators(roomCode).emit('matchForfeited', { matchId: room.tournament.matchId, ...outcome });
+  closeRoom(roomCode, room);
+  recordTournamentResult(room.tournament, outcome);
+}
+
+// Replay a drawn elimination match in the same room after a short pause
+function scheduleTournamentReplay(roomCode, room) {
+  room.tournamentReplayPending = true;
+  toRoomAndSpectators(roomCode).emit('tournamentReplay', {
+    matchId: room.tournament.matchId,
+    delayMs: TOURNAMENT_REPLAY_DELAY_MS
+  });
+  room.cleanupTimer = setRoomTimeout(roomCode, () => {
+    if (gameRooms.get(roomCode) === room && room.tournamentReplayPending) {
+      room.tournamentReplayPending = false;
+      startRematch(roomCode, room);
+    }
+  }, TOURNAMENT_REPLAY_DELAY_MS);
+}
+
+// Settle a tournament match, then open the next round's rooms if it moved on
+async function recordTournamentResult({ tournamentId, matchId }, outcome) {
+  try {
+    const tournament = await Tournament.recordResult(tournamentId, matchId, outcome);
+    logger.info('🏆 Tournament result', { tournamentId, matchId, result: outcome.result });
+    if (tournament) {
+      await openTournamentMatches(tournament);
+    }
+  } catch (error) {
+    logger.error('Error recording tournament result', { error });
+  }
+}
+
+// Name of the socket.io room every socket of a user joins once authenticated
+function getUserChannel(userId) {
+  return `user:${userId}`;
+}
+
+// Send an event to every connected socket of a user
+function emitToUser(userId, event, payload) {
+  io.to(getUserChannel(userId)).emit(event, payload);
+}
+
+// 'offline', 'online', or 'inGame' while the user is seated in a game that
+// is being played, for each of a list of users
+async function getPresences(userIds) {
+  const rooms = await state.getRooms();
+  const presences = new Map();
+  for (const userId of userIds) {
+    if (await state.countUserSockets(userId) === 0) {
+      presences.set(userId, 'offline');
+      continue;
+    }
+    const inGame = rooms.some(room => room.status === 'playing' && room.userIds.includes(userId));
+    presences.set(userId, inGame ? 'inGame' : 'online');
+  }
+  return presences;
+}
+
+async function getPresence(userId) {
+  return (await getPresences([userId])).get(userId);
+}
+
+// Tell a user's friends that they came online or went offline
+async function broadcastPresence(userId) {
+  try {
+    const stats = await PlayerStats.getStats(userId);
+    const status = await getPresence(userId);
+    (stats?.friends || []).forEach(friendId => emitToUser(friendId, 'friendPresence', { userId, status }));
+  } catch (error) {
+    logger.error('Error broadcasting presence', { error });
+  }
+}
+
+// Count an authenticated socket towards its user's presence
+async function trackUserSocket(socket, userId) {
+  if (socket.userId && socket.userId !== userId) {
+    await untrackUserSocket(socket);
+  }
+  socket.join(getUserChannel(userId));
+  if (await state.addUserSocket(userId, socket.id, socket.homeId || INSTANCE_ID) === 1) {
+    broadcastPresence(userId);
+  }
+}
+
+async function untrackUserSocket(socket) {
+  if (!socket.userId) {
+    return;
+  }
+  socket.leave(getUserChannel(socket.userId));
+  if (await state.removeUserSocket(socket.userId, socket.id) === 0) {
+    broadcastPresence(socket.userId);
+  }
+}
+
+// Invite as sent to the invited friend
+function getInviteView(invite) {
+  return {
+    inviteId: invite.inviteId,
+    roomCode: invite.roomCode,
+    from: invite.from,
+    settings: invite.settings,
+    expiresAt: invite.expiresAt
+  };
+}
+
+// Take an invite out of the store, resolving to it if it was still pending
+async function removeInvite(inviteId) {
+  clearTimeout(inviteTimers.get(inviteId));
+  inviteTimers.delete(inviteId);
+  return state.takeInvite(inviteId);
+}
+
+async function expireInvite(inviteId) {
+  try {
+    const invite = await removeInvite(inviteId);
+    if (invite) {
+      io.to(invite.fromSocketId).emit('inviteExpired', { inviteId });
+      emitToUser(invite.toUserId, 'inviteExpired', { inviteId });
+    }
+  } catch (error) {
+    logger.error('Error expiring invite', { error });
+  }
+}
+
+// Create a private room with the socket as its host and only player
+function createPrivateRoom(socket, settings) {
+  // Generate a unique room code
+  let roomCode;
+  do {
+    roomCode = generateRoomCode();
+  } while (gameRooms.has(roomCode));
+
+  // Create the room
+  const room = {
+    gameId: crypto.randomUUID(),
+    mode: settings.maxPlayers > 2 ? 'battleRoyale' : 'private',
+    hostId: socket.id,
+    players: [socket.id],
+    settings,
+    targetWord: getRandomWord(settings.wordLength, settings.language),
+    status: 'waiting',
+    guesses: new Map(),
+    createdAt: new Date(),
+    isQuickMatch: false,
+    disconnectedPlayers: new Map(),
+    forfeited: new Set(),
+    spectators: new Set(),
+    userIds: new Map([[socket.id, socket.userId]])
+  };
+
+  // Store room data
+  stopSpectating(socket);
+  gameRooms.set(roomCode, room);
+  socketRooms.set(socket.id, roomCode);
+  socketTypes.set(socket.id, 'game'); // Set socket type to game
+  socket.join(roomCode);
+  attachSocket(socket);
+  publishRoom(roomCode, room);
+
+  logger.addLogContext({ roomCode });
+  logger.info('✅ Room created', { roomCode, mode: room.mode, settings });
+  logger.debug('Target word chosen', { roomCode, targetWord: room.targetWord });
+  return roomCode;
+}
+
+// Move a waiting room into play
+function startRoomGame(roomCode, room) {
+  clearTimeout(room.noShowTimer);
+  room.status = 'playing';
+  room.startedAt = new Date();
+  publishRoom(roomCode, room);
+  metrics.gamesStarted.inc({ mode: room.mode });
+  toRoomAndSpectators(roomCode).emit('gameStart', {
+    wordLength: room.targetWord.length,
+    settings: room.settings,
+    players: room.players,
+    hostId: room.hostId,
+    roomCode: roomCode,
+    series: getSeriesState(room)
+  });
+  startRoomClocks(roomCode, room);
+}
+
+// Handle player joining a room
+function handleJoinRoom(socket, roomCode, callback) {
+  try {
+    roomCode = normalizeRoomCode(roomCode);
+    logger.info('🎮 Join request', { roomCode, socketType: socketTypes.get(socket.id) });
+
+    // Validate room code
+    if (!roomCode) {
+      logger.info('❌ Invalid room code');
+      if (typeof callback === 'function') {
+        callback({ success: false, error: 'Invalid room code' });
+      }
+      return;
+    }
+
+    const room = gameRooms.get(roomCode);
+    if (!room) {
+      logger.info('❌ Room not found', { roomCode });
+      if (typeof callback === 'function') {
+        callback({ success: false, error: 'Room not found' });
+      }
+      return;
+    }
+
+    // Check if player is already in the room
+    if (room.players.includes(socket.id)) {
+      logger.info('⚠️ Player is already in room', { roomCode });
+      if (typeof callback === 'function') {
+        callback({ 
+          success: true,
+          wordLength: room.targetWord.length,
+          settings: room.settings,
+          players: room.players,
+          hostId: room.hostId,
+          roomCode: roomCode
+        });
+      }
+      return;
+    }
+
+    // Tournament rooms only admit the two players of their match, once each
+    if (room.tournament && (!room.tournament.reservedFor.includes(socket.userId) ||
+        [...room.userIds.values()].includes(socket.userId))) {
+      logger.info('❌ Room is reserved for a tournament match', { roomCode });
+      if (typeof callback === 'function') {
+        callback({ success: false, error: 'Room is reserved for a tournament match' });
+      }
+      return;
+    }
+
+    if (room.players.length >= room.settings.maxPlayers) {
+      logger.info('❌ Room is full', { roomCode });
+      if (typeof callback === 'function') {
+        callback({ success: false, error: 'Room is full' });
+      }
+      return;
+    }
+
+    if (room.status !== 'waiting') {
+      logger.info('❌ Room has already started', { roomCode });
+      if (typeof callback === 'function') {
+        callback({ success: false, error: 'Game already started' });
+      }
+      return;
+    }
+
+    // A spectator taking a seat stops watching
+    stopSpectating(socket);
+
+    // Add player to room
+    room.players.push(socket.id);
+    room.userIds.set(socket.id, socket.userId);
+    socketRooms.set(socket.id, roomCode);
+    socketTypes.set(socket.id, 'game'); // Set socket type to game
+    socket.join(roomCode);
+    attachSocket(socket);
+    publishRoom(roomCode, room);
+
+    logger.info('✅ Player joined', { roomCode, players: room.players });
+
+    // Send success response to joining player
+    if (typeof callback === 'function') {
+      callback({ 
+        success: true,
+        wordLength: room.targetWord.length,
+        settings: room.settings,
+        players: room.players,
+        hostId: room.hostId,
+        roomCode: roomCode,
+        playerId: socket.id
+      });
+    }
+
+    // Notify other players in the room
+    toRoomAndSpectators(roomCode, socket).emit('playerJoined', {
+      playerId: socket.id,
+      players: room.players
+    });
+
+    // Two-player rooms start as soon as they are full; larger rooms wait for
+    // the host to start them
+    if (room.settings.maxPlayers === 2 && room.players.length === 2) {
+      startRoomGame(roomCode, room);
+    }
+  } catch (error) {
+    logger.error('❌ Error joining room', { error });
+    if (typeof callback === 'function') {
+      callback({ success: false, error: 'Failed to join room' });
     }
   }
 }
 
 io.on('connection', (socket) => {
-  console.log('\n🔌 New client connected');
-  console.log('Socket ID:', socket.id);
-  console.log('Transport:', socket.conn.transport.name);
+  logger.info('🔌 New client connected', { socketId: socket.id, transport: socket.conn.transport.name });
   
+  metrics.socketConnects.inc();
+  // Counted here rather than with the other handlers, which also run for
+  // sockets connected to other instances
+  socket.on('disconnect', (reason) => metrics.socketDisconnects.inc({ reason }));
+
   // Add to active connections
   activeConnections.add(socket.id);
-  const actualConnections = getActualConnectionCount();
-  console.log('Active connections:', activeConnections.size);
-  console.log('Actual socket connections:', actualConnections);
+  logger.debug('Connections', {
+    tracked: activeConnections.size,
+    actual: getActualConnectionCount()
+  });
+
+  socket.use((packet, next) => withSocketLogContext(socket, packet, next));
+  socket.use((packet, next) => refuseNewGames(socket, packet, next));
+  socket.use((packet, next) => routeEvent(socket, packet, next));
+  registerSocketHandlers(socket);
+});
+
+// Events from another instance's sockets playing in rooms owned here
+io.on('cluster', (message) => {
+  handleClusterMessage(message).catch(error => logger.error('Error handling cluster message', { error }));
+});
+
+// Register the event handlers for a socket, connected here or a RemoteSocket
+// standing in for one connected to another instance
+function registerSocketHandlers(socket) {
+  // Handle room creation. Settings ({ wordLength, maxAttempts, hardMode,
+  // timeControl, maxPlayers }) are optional; older clients send only the
+  // callback. Rooms for more than two players are battle royales started by
+  // the host.
+  socket.on('createRoom', (options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    try {
+      logger.info('🎮 Creating new room', { socketType: socketTypes.get(socket.id) });
+
+      const { settings, error } = parseRoomSettings(options?.settings);
+      if (error) {
+        logger.info('❌ Invalid room settings', { reason: error });
+        if (typeof callback === 'function') {
+          callback({ success: false, error });
+        }
+        return;
+      }
+
+      const roomCode = createPrivateRoom(socket, settings);
+
+      // Send success response
+      if (typeof callback === 'function') {
+        callback({ 
+          success: true, 
+          roomCode,
+          playerId: socket.id,
+          players: [socket.id],
+          hostId: socket.id,
+          settings
+        });
+      }
+
+      // Emit room created event
+      socket.emit('roomCreated', { 
+        roomCode,
+        playerId: socket.id,
+        players: [socket.id],
+        hostId: socket.id,
+        settings
+      });
+      socket.emit('waitingForPlayer');
+
+    } catch (error) {
+      logger.error('❌ Error creating room', { error });
+      if (typeof callback === 'function') {
+        callback({ success: false, error: 'Failed to create room' });
+      }
+    }
+  });
+
+  // Invite a friend who is online to a new private room. Takes the same
+  // settings as createRoom.
+  socket.on('inviteFriend', async ({ friendId, settings: input } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    logger.info('✉️ Game invite', { friendId });
+
+    if (!socket.userId) {
+      respond({ success: false, error: 'Not authenticated' });
+      return;
+    }
+
+    if (gameRooms.get(socketRooms.get(socket.id))?.status === 'playing') {
+      respond({ success: false, error: 'Already in a game' });
+      return;
+    }
+
+    const { settings, error } = parseRoomSettings(input);
+    if (error) {
+      respond({ success: false, error });
+      return;
+    }
+
+    try {
+      const stats = await PlayerStats.getStats(socket.userId);
+      if (!stats?.friends?.includes(friendId)) {
+        respond({ success: false, error: 'Not on your friends list' });
+        return;
+      }
+      if (await getPresence(friendId) === 'offline') {
+        respond({ success: false, error: 'Friend is offline' });
+        return;
+      }
+
+      // Leave any queue or room this socket was in first
+      cleanupPlayer(socket.id);
+      activeConnections.add(socket.id);
+
+      const roomCode = createPrivateRoom(socket, settings);
+      const invite = {
+        inviteId: crypto.randomUUID(),
+        roomCode,
+        from: { userId: socket.userId, username: stats.username },
+        fromSocketId: socket.id,
+        toUserId: friendId,
+        settings,
+        expiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString()
+      };
+      await state.setInvite(invite, INVITE_TTL_MS);
+      inviteTimers.set(invite.inviteId, setTimeout(() => expireInvite(invite.inviteId), INVITE_TTL_MS));
+
+      emitToUser(friendId, 'gameInvite', getInviteView(invite));
+      respond({ success: true, inviteId: invite.inviteId, roomCode, playerId: socket.id, settings });
+    } catch (error) {
+      logger.error('❌ Error sending invite', { error });
+      respond({ success: false, error: 'Failed to send invite' });
+    }
+  });
+
+  // Accept a game invite and join the inviter's room
+  socket.on('acceptInvite', async ({ inviteId } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    try {
+      const invite = await state.getInvite(inviteId);
+      if (!invite || invite.toUserId !== socket.userId || !await removeInvite(inviteId)) {
+        respond({ success: false, error: 'Invite not found' });
+        return;
+      }
+
+      const room = gameRooms.get(invite.roomCode);
+      if (!room || room.status !== 'waiting' || !room.players.includes(invite.fromSocketId)) {
+        respond({ success: false, error: 'Invite is no longer valid' });
+        return;
+      }
+
+      handleJoinRoom(socket, invite.roomCode, (response) => {
+        if (response.success) {
+          io.to(invite.fromSocketId).emit('inviteAccepted', {
+            inviteId,
+            userId: socket.userId
+          });
+        }
+        respond(response);
+      });
+    } catch (error) {
+      logger.error('❌ Error accepting invite', { error });
+      respond({ success: false, error: 'Failed to accept invite' });
+    }
+  });
+
+  // Turn down a game invite
+  socket.on('declineInvite', async ({ inviteId } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    try {
+      const invite = await state.getInvite(inviteId);
+      if (!invite || invite.toUserId !== socket.userId || !await removeInvite(inviteId)) {
+        respond({ success: false, error: 'Invite not found' });
+        return;
+      }
+
+      io.to(invite.fromSocketId).emit('inviteDeclined', {
+        inviteId,
+        userId: socket.userId
+      });
+      respond({ success: true });
+    } catch (error) {
+      logger.error('❌ Error declining invite', { error });
+      respond({ success: false, error: 'Failed to decline invite' });
+    }
+  });
+
+  // Handle quickmatch request
+  socket.on('joinMatchmaking', (options) => handleMatchmaking(socket, typeof options === 'object' && options ? options : {}));
+
+  // Practice against a solver bot. Takes an optional level and the same
+  // settings as createRoom, apart from maxPlayers.
+  socket.on('playBot', ({ level = DEFAULT_BOT_LEVEL, settings: input } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    logger.info('🤖 Bot game request', { level });
+
+    if (!BOT_LEVELS[level]) {
+      respond({ success: false, error: `Level must be one of ${Object.keys(BOT_LEVELS).join(', ')}` });
+      return;
+    }
+
+    const { settings, error } = parseRoomSettings(input);
+    if (error || settings.maxPlayers !== 2) {
+      respond({ success: false, error: error || 'Bot games are for two players' });
+      return;
+    }
+
+    // Leave any queue or room this socket was in first
+    cleanupPlayer(socket.id);
+    activeConnections.add(socket.id);
+
+    const roomCode = startBotGame(socket, level, settings, false);
+    respond({ success: true, roomCode, playerId: socket.id, settings });
+  });
+
+  // Follow a tournament's updates. Registered players also get their open
+  // match, whose room code they join with joinRoom.
+  socket.on('joinTournament', async ({ tournamentId } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    try {
+      const tournament = tournamentId && await Tournament.getTournament(tournamentId);
+      if (!tournament) {
+        respond({ success: false, error: TOURNAMENT_ERRORS.TOURNAMENT_NOT_FOUND.error });
+        return;
+      }
+
+      socket.join(getTournamentChannel(tournamentId));
+      respond({
+        success: true,
+        tournament: getTournamentView(tournament),
+        match: socket.userId ? getPlayerMatch(tournament, socket.userId) : null
+      });
+    } catch (error) {
+      logger.error('Error joining tournament', { error });
+      respond({ success: false, error: 'Failed to load tournament' });
+    }
+  });
+
+  // Stop following a tournament
+  socket.on('leaveTournament', ({ tournamentId } = {}) => {
+    if (tournamentId) {
+      socket.leave(getTournamentChannel(tournamentId));
+    }
+  });
+
+  // Handle join room request
+  socket.on('joinRoom', ({ roomCode }, callback) => handleJoinRoom(socket, roomCode, callback));
+
+  // Host starts a room that waits for players, such as a battle royale
+  socket.on('startGame', ({ roomCode } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    roomCode = normalizeRoomCode(roomCode);
+    const room = gameRooms.get(roomCode);
+
+    logger.info('🚦 Start game request');
+
+    if (!room) {
+      respond({ success: false, error: 'Room not found' });
+      return;
+    }
+    if (room.hostId !== socket.id) {
+      respond({ success: false, error: 'Only the host can start the game' });
+      return;
+    }
+    if (room.status !== 'waiting') {
+      respond({ success: false, error: 'Game already started' });
+      return;
+    }
+    if (room.players.length < 2) {
+      respond({ success: false, error: 'Need at least 2 players to start' });
+      return;
+    }
+
+    startRoomGame(roomCode, room);
+    respond({ success: true });
+  });
+
+  // Watch a game without taking a seat. Spectators get the board as colour
+  // patterns and follow the game's updates on a separate channel.
+  socket.on('spectateRoom', ({ roomCode } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    roomCode = normalizeRoomCode(roomCode);
+    const room = gameRooms.get(roomCode);
+
+    logger.info('👀 Spectate request');
+
+    if (!room) {
+      respond({ success: false, error: 'Room not found' });
+      return;
+    }
+    if (socketRooms.has(socket.id)) {
+      respond({ success: false, error: 'Already playing in a room' });
+      return;
+    }
+
+    if (spectatingRooms.get(socket.id) !== roomCode) {
+      stopSpectating(socket);
+      spectatingRooms.set(socket.id, roomCode);
+      room.spectators.add(socket.id);
+      socket.join(getSpectatorChannel(roomCode));
+      attachSocket(socket);
+      broadcastSpectatorCount(roomCode, room);
+    }
+
+    logger.info('✅ Spectating room', { spectators: room.spectators.size });
+    respond({
+      success: true,
+      roomCode,
+      players: room.players,
+      hostId: room.hostId || null,
+      status: room.status,
+      isQuickMatch: room.isQuickMatch,
+      wordLength: room.targetWord.length,
+      settings: room.settings,
+      clocks: room.clocks ? getClockSnapshot(room) : null,
+      board: getSpectatorBoard(room),
+      targetWord: room.status === 'finished' ? room.targetWord : undefined,
+      spectatorCount: room.spectators.size
+    });
+  });
+
+  // Stop watching a game
+  socket.on('stopSpectating', () => {
+    if (stopSpectating(socket)) {
+      logger.info('👋 Spectator left');
+    }
+  });
+
+  // Ask the opponent for another game after gameOver. The first request of a
+  // series picks its length (best of 3, 5 or 7).
+  socket.on('requestRematch', ({ roomCode, bestOf = DEFAULT_SERIES_LENGTH } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    roomCode = normalizeRoomCode(roomCode);
+    const room = gameRooms.get(roomCode);
+
+    logger.info('🔁 Rematch request', { bestOf });
+
+    if (!room || !room.players.includes(socket.id)) {
+      respond({ success: false, error: 'Not a player in this room' });
+      return;
+    }
+    if (room.status !== 'finished' || !canRematch(room)) {
+      respond({ success: false, error: 'Rematch not available' });
+      return;
+    }
+    if (!room.series.bestOf && !SERIES_LENGTHS.includes(bestOf)) {
+      respond({ success: false, error: `Series must be best of ${SERIES_LENGTHS.join(', ')}` });
+      return;
+    }
+
+    // Both players asking counts as agreeing
+    if (room.rematchRequest && room.rematchRequest.requestedBy !== socket.id) {
+      respond({ success: true, started: true });
+      startRematch(roomCode, room);
+      return;
+    }
+
+    room.series.bestOf = room.series.bestOf || bestOf;
+    room.rematchRequest = { requestedBy: socket.id };
+    respond({ success: true, started: false });
+    toRoomAndSpectators(roomCode, socket).emit('rematchRequested', {
+      requestedBy: socket.id,
+      series: getSeriesState(room)
+    });
+  });
+
+  // Accept the opponent's rematch request and start the next game
+  socket.on('acceptRematch', ({ roomCode } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    roomCode = normalizeRoomCode(roomCode);
+    const room = gameRooms.get(roomCode);
+
+    if (!room || !room.players.includes(socket.id)) {
+      respond({ success: false, error: 'Not a player in this room' });
+      return;
+    }
+    if (room.status !== 'finished' || !room.rematchRequest ||
+        room.rematchRequest.requestedBy === socket.id || !canRematch(room)) {
+      respond({ success: false, error: 'No rematch to accept' });
+      return;
+    }
+
+    respond({ success: true });
+    startRematch(roomCode, room);
+  });
+
+  // Turn down a rematch, which closes the room
+  socket.on('declineRematch', ({ roomCode } = {}) => {
+    roomCode = normalizeRoomCode(roomCode);
+    const room = gameRooms.get(roomCode);
+    if (!room || !room.players.includes(socket.id) || room.status !== 'finished') {
+      return;
+    }
+
+    logger.info('🚫 Rematch declined');
+    toRoomAndSpectators(roomCode).emit('rematchCancelled', { reason: 'declined', playerId: socket.id });
+    closeRoom(roomCode, room);
+  });
+
+  // Send a chat message, { text } or a quick reaction { reaction }, to the
+  // other players in the room. Players who muted the sender don't get it.
+  socket.on('chatMessage', ({ roomCode, text, reaction } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    roomCode = normalizeRoomCode(roomCode);
+    const room = gameRooms.get(roomCode);
+    if (!room || !room.players.includes(socket.id)) {
+      respond(chatError('NOT_IN_ROOM'));
+      return;
+    }
+
+    const allowText = room.isQuickMatch ? QUICK_MATCH_FREE_CHAT : true;
+    const { message, errorCode } = parseChatMessage({ text, reaction }, allowText);
+    if (errorCode) {
+      respond(chatError(errorCode));
+      return;
+    }
+
+    if (!chatHistory.has(socket.id)) {
+      chatHistory.set(socket.id, []);
+    }
+    if (!recordChatSend(chatHistory.get(socket.id))) {
+      respond(chatError('RATE_LIMITED'));
+      return;
+    }
+
+    const chat = {
+      roomCode,
+      playerId: socket.id,
+      playerNumber: room.players.indexOf(socket.id) + 1,
+      ...message,
+      sentAt: new Date().toISOString()
+    };
+    room.players
+      .filter(playerId => !room.mutes?.get(playerId)?.has(socket.id))
+      .forEach(playerId => getSocket(playerId)?.emit('chatMessage', chat));
+    respond({ success: true, ...chat });
+  });
+
+  // Stop receiving chat from another player for the rest of the match
+  socket.on('mutePlayer', ({ roomCode, playerId } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const room = gameRooms.get(normalizeRoomCode(roomCode));
+    if (!room || !room.players.includes(socket.id) ||
+        !room.players.includes(playerId) || playerId === socket.id) {
+      respond({ success: false, error: 'Player not found in this room' });
+      return;
+    }
+
+    getMutedPlayers(room, socket.id).add(playerId);
+    respond({ success: true, muted: [...getMutedPlayers(room, socket.id)] });
+  });
+
+  socket.on('unmutePlayer', ({ roomCode, playerId } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    const room = gameRooms.get(normalizeRoomCode(roomCode));
+    if (!room || !room.players.includes(socket.id)) {
+      respond({ success: false, error: 'Not a player in this room' });
+      return;
+    }
+
+    getMutedPlayers(room, socket.id).delete(playerId);
+    respond({ success: true, muted: [...getMutedPlayers(room, socket.id)] });
+  });
+
+  // Handle leave matchmaking
+  socket.on('leaveMatchmaking', async () => {
+    if (await removeFromQueue(socket.id)) {
+      socketTypes.delete(socket.id);
+      logger.info('👋 Player left matchmaking');
+    }
+  });
+
+  // Give up a live game. The opponent wins a two-player game; in a battle
+  // royale the player is eliminated and the rest play on.
+  socket.on('resign', ({ roomCode } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    roomCode = normalizeRoomCode(roomCode);
+    const room = gameRooms.get(roomCode);
+
+    logger.info('🏳️ Resign request');
+
+    if (!room || socketRooms.get(socket.id) !== roomCode || !room.players.includes(socket.id)) {
+      respond(guessError('NOT_IN_ROOM'));
+      return;
+    }
+    if (room.status !== 'playing') {
+      respond(guessError('GAME_NOT_ACTIVE'));
+      return;
+    }
+
+    // A finished board has nothing left to give up
+    const outcome = getPlayerOutcome(room, socket.id);
+    if (outcome.finished) {
+      if (outcome.solved) {
+        respond(guessError('ALREADY_SOLVED'));
+      } else if (outcome.eliminated) {
+        respond(guessError(room.forfeited?.has(socket.id) ? 'FORFEITED' : 'OUT_OF_TIME'));
+      } else {
+        respond(guessError('NO_ATTEMPTS_LEFT'));
+      }
+      return;
+    }
+
+    forfeitPlayer(roomCode, room, socket.id, 'resigned');
+    respond({ success: true });
+  });
+
+  // Handle player guess
+  socket.on('makeGuess', ({ roomCode, guess } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+    roomCode = normalizeRoomCode(roomCode);
+
+    logger.debug('📝 Player making guess', { guess });
+
+    // Validate socket type
+    const socketType = socketTypes.get(socket.id);
+    if (socketType !== 'game') {
+      logger.info('❌ Guess from a socket not in a game', {
+        socketType,
+        roomExists: gameRooms.has(roomCode),
+        socketRoom: socketRooms.get(socket.id)
+      });
+      respond(guessError('NOT_IN_ROOM'));
+      return;
+    }
+    
+    const room = gameRooms.get(roomCode);
+    if (!room) {
+      logger.info('❌ Guess for a room that does not exist');
+      respond(guessError('NOT_IN_ROOM'));
+      return;
+    }
+
+    const errorCode = validateGuess(room, socket.id, guess);
+    if (errorCode) {
+      logger.info('❌ Guess rejected', { errorCode, status: room.status });
+      respond(guessError(errorCode));
+      return;
+    }
+
+    respond({ success: true, ...recordGuess(roomCode, room, socket.id, guess) });
+
+    const result = getGameResult(room);
+    if (result) {
+      finishGame(roomCode, result);
+    }
+  });
+
+  // Start (or resume) today's daily challenge. Each user gets one attempt per
+  // UTC day, so a finished attempt is returned instead of a new board.
+  socket.on('startDaily', async (callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    logger.info('📅 Daily challenge start');
+
+    if (!socket.userId) {
+      respond({ success: false, error: 'Not authenticated' });
+      return;
+    }
 
-  // Handle room creation
-  socket.on('createRoom', (callback) => {
     try {
-      console.log('\n🎮 === CREATING NEW ROOM ===');
-      console.log('Creator ID:', socket.id);
-      console.log('Current socket type:', socketTypes.get(socket.id));
-
-      // Generate a unique room code
-      let roomCode;
-      do {
-        roomCode = generateRoomCode();
-      } while (gameRooms.has(roomCode));
-
-      // Create the room
-      const room = {
-        players: [socket.id],
-        targetWord: getRandomWord(),
-        status: 'waiting',
-        guesses: new Map(),
-        createdAt: new Date(),
-        isQuickMatch: false
-      };
+      const stats = await PlayerStats.getStats(socket.userId);
+      const attempt = await DailyChallenge.startAttempt(getDayKey(), socket.userId, stats?.username);
+      respond({ success: true, ...getDailyState(attempt) });
+    } catch (error) {
+      logger.error('Error starting daily challenge', { error });
+      respond({ success: false, error: 'Failed to start daily challenge' });
+    }
+  });
 
-      // Store room data
-      gameRooms.set(roomCode, room);
-      socketRooms.set(socket.id, roomCode);
-      socketTypes.set(socket.id, 'game'); // Set socket type to game
-      socket.join(roomCode);
+  // Guess in a daily challenge attempt. dayKey comes from startDaily so an
+  // attempt started before midnight UTC can still be finished.
+  socket.on('dailyGuess', async ({ guess, dayKey = getDayKey() } = {}, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
 
-      console.log('\n✅ === ROOM CREATED ===');
-      console.log('Room code:', roomCode);
-      console.log('Target word:', room.targetWord);
-      console.log('Creator ID:', socket.id);
-      console.log('Socket type:', socketTypes.get(socket.id));
-      console.log('===================\n');
+    if (!socket.userId) {
+      respond(guessError('NOT_IN_ROOM'));
+      return;
+    }
+    if (!isValidDayKey(dayKey)) {
+      respond(guessError('GAME_NOT_ACTIVE'));
+      return;
+    }
 
-      // Send success response
-      if (typeof callback === 'function') {
-        callback({ 
-          success: true, 
-          roomCode,
-          playerId: socket.id,
-          players: [socket.id]
-        });
+    try {
+      const attempt = await DailyChallenge.submitGuess(dayKey, socket.userId, guess);
+      const lastGuess = attempt.guesses[attempt.guesses.length - 1];
+
+      if (attempt.status !== 'playing') {
+        logger.info('📅 Daily challenge finished', { dayKey, status: attempt.status });
+        const stats = await PlayerStats.recordDailyResult(socket.userId, dayKey, attempt.status === 'solved');
+        socket.emit('statsUpdate', { playerId: socket.id, stats: getPublicStats(stats) });
       }
 
-      // Emit room created event
-      socket.emit('roomCreated', { 
-        roomCode,
-        playerId: socket.id,
-        players: [socket.id]
+      respond({
+        success: true,
+        guess: lastGuess.guess,
+        feedback: lastGuess.feedback,
+        guessNumber: attempt.guesses.length - 1,
+        attemptsLeft: MAX_ATTEMPTS - attempt.guesses.length,
+        ...getDailyState(attempt)
       });
-      socket.emit('waitingForPlayer');
-
     } catch (error) {
-      console.error('❌ Error creating room:', error);
-      if (typeof callback === 'function') {
-        callback({ success: false, error: 'Failed to create room' });
+      if (GUESS_ERRORS[error.message]) {
+        respond(guessError(error.message));
+        return;
       }
+      logger.error('Error scoring daily guess', { error });
+      respond({ success: false, error: 'Failed to submit guess' });
     }
   });
 
-  // Handle quickmatch request
-  socket.on('joinMatchmaking', () => handleMatchmaking(socket));
-
-  // Handle join room request
-  socket.on('joinRoom', ({ roomCode }, callback) => handleJoinRoom(socket, roomCode, callback));
-
-  // Handle leave matchmaking
-  socket.on('leaveMatchmaking', () => {
-    console.log('\n👋 Player leaving matchmaking');
-    console.log('Player ID:', socket.id);
-    
-    const index = matchmakingQueue.indexOf(socket.id);
-    if (index !== -1) {
-      matchmakingQueue.splice(index, 1);
-      socketTypes.delete(socket.id);
-      console.log('Player removed from queue');
-      console.log('Current queue:', matchmakingQueue);
-    }
-  });
+  // Handle an authenticated player returning to a game after a dropped connection
+  socket.on('rejoinGame', (callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
 
-  // Handle player guess
-  socket.on('makeGuess', ({ roomCode, guess, guessNumber }) => {
-    console.log('\n📝 === PLAYER MAKING GUESS ===');
-    console.log('Player ID:', socket.id);
-    console.log('Room code:', roomCode);
-    console.log('Guess:', guess);
-    console.log('Guess number:', guessNumber);
-    console.log('Socket type:', socketTypes.get(socket.id));
-    console.log('Room exists:', gameRooms.has(roomCode));
+    logger.info('🔄 Rejoin attempt');
 
-    // Validate socket type
-    const socketType = socketTypes.get(socket.id);
-    if (socketType !== 'game') {
-      console.log('\n❌ === INVALID GUESS ATTEMPT ===');
-      console.log('Socket ID:', socket.id);
-      console.log('Socket type:', socketType);
-      console.log('Expected type: game');
-      console.log('Room code:', roomCode);
-      console.log('Room exists:', gameRooms.has(roomCode));
-      if (gameRooms.has(roomCode)) {
-        console.log('Room players:', gameRooms.get(roomCode).players);
-      }
-      console.log('Socket room mapping:', socketRooms.get(socket.id));
-      console.log('==============================\n');
+    if (!socket.userId) {
+      respond({ success: false, error: 'Not authenticated' });
       return;
     }
-    
-    const room = gameRooms.get(roomCode);
-    if (!room || room.status !== 'playing') {
-      console.log('❌ Invalid room or game not in playing state');
-      console.log('Room exists:', !!room);
-      console.log('Room status:', room?.status);
+
+    const seat = findRoomByUserId(socket.userId);
+    if (!seat) {
+      logger.info('❌ No game to rejoin');
+      respond({ success: false, error: 'No game to rejoin' });
       return;
     }
 
-    console.log('\n✅ === VALID GUESS ===');
-    console.log('Room players:', room.players);
-    console.log('Socket room mapping:', socketRooms.get(socket.id));
-    console.log('Room is quick match:', room.isQuickMatch);
-    console.log('===================\n');
-
-    const playerNumber = room.players.indexOf(socket.id) + 1;
-    if (!room.guesses.has(socket.id)) {
-      room.guesses.set(socket.id, []);
+    const { roomCode, room, playerId: previousId } = seat;
+    if (previousId !== socket.id) {
+      // Leave any queue or room this socket was in first
+      cleanupPlayer(socket.id);
+      stopSpectating(socket);
+      activeConnections.add(socket.id);
+      reseatPlayer(room, roomCode, previousId, socket);
     }
-    
-    const playerGuesses = room.guesses.get(socket.id);
-    playerGuesses.push(guess);
-
-    console.log('\n📤 === EMITTING GUESS UPDATE ===');
-    console.log('To room:', roomCode);
-    console.log('From player:', socket.id);
-    console.log('Player number:', playerNumber);
-    console.log('Guess number:', guessNumber);
-    console.log('Is quick match:', room.isQuickMatch);
-    console.log('============================\n');
-
-    // Emit guess update to all players in the room
-    io.to(roomCode).emit('guessUpdate', {
+
+    logger.addLogContext({ roomCode });
+    logger.info('✅ Rejoined room', { previousPlayerId: previousId });
+    respond({
+      success: true,
+      roomCode,
       playerId: socket.id,
-      playerNumber,
-      guess,
-      guessNumber: guessNumber - 1, // Convert to 0-based index
-      isQuickMatch: room.isQuickMatch
+      players: room.players,
+      hostId: room.hostId || null,
+      status: room.status,
+      isQuickMatch: room.isQuickMatch,
+      wordLength: room.targetWord.length,
+      maxAttempts: room.settings.maxAttempts,
+      settings: room.settings,
+      clocks: room.clocks ? getClockSnapshot(room) : null,
+      board: getBoardState(room, socket.id)
     });
 
-    const isCorrect = guess.toUpperCase() === room.targetWord;
-    if (isCorrect) {
-      console.log('Player won the game!');
-      room.status = 'finished';
-      io.to(roomCode).emit('gameOver', {
-        winner: socket.id,
-        winnerNumber: playerNumber,
-        targetWord: room.targetWord
+    if (previousId !== socket.id) {
+      toRoomAndSpectators(roomCode, socket).emit('playerReconnected', {
+        previousPlayerId: previousId,
+        playerId: socket.id,
+        players: room.players
       });
-      
-      // Clean up room after delay
-      setTimeout(() => {
-        if (gameRooms.has(roomCode)) {
-          room.players.forEach(playerId => {
-            socketTypes.delete(playerId);
-            socketRooms.delete(playerId);
-          });
-          gameRooms.delete(roomCode);
-          console.log('Cleaned up finished game room:', roomCode);
-        }
-      }, 5000);
-    } else if (playerGuesses.length >= 6) {
-      const otherPlayer = room.players.find(id => id !== socket.id);
-      const otherPlayerGuesses = room.guesses.get(otherPlayer) || [];
-      
-      if (otherPlayerGuesses.length >= 6) {
-        console.log('Game ended in draw');
-        room.status = 'finished';
-        io.to(roomCode).emit('gameOver', {
-          winner: null,
-          targetWord: room.targetWord,
-          isDraw: true
-        });
-        
-        // Clean up room after delay
-        setTimeout(() => {
-          if (gameRooms.has(roomCode)) {
-            room.players.forEach(playerId => {
-              socketTypes.delete(playerId);
-              socketRooms.delete(playerId);
-            });
-            gameRooms.delete(roomCode);
-            console.log('Cleaned up finished game room:', roomCode);
-          }
-        }, 5000);
-      }
     }
   });
 
-  // Handle disconnect
-  socket.on('disconnect', (reason) => {
-    console.log('\n❌ Client disconnected');
-    console.log('Socket ID:', socket.id);
-    console.log('Disconnect reason:', reason);
-    console.log('Socket type:', socketTypes.get(socket.id));
+  // Handle disconnect. Socket middleware doesn't run for it, so its log
+  // context is set here.
+  socket.on('disconnect', (reason) => logger.withLogContext(getSocketLogContext(socket, 'disconnect'), () => {
+    logger.info('❌ Client disconnected', { reason, socketType: socketTypes.get(socket.id) });
+
+    // A socket playing in another instance's room is cleaned up there
+    const handlerId = socketHandlers.get(socket.id);
+    if (handlerId) {
+      socketHandlers.delete(socket.id);
+      sendToInstances('socketDisconnect', { socketId: socket.id, reason }, handlerId);
+    }
     
+    stopSpectating(socket);
+    chatHistory.delete(socket.id);
+    untrackUserSocket(socket).catch(error => logger.error('Error updating presence', { error }));
+
     // Get room code before cleanup
     const roomCode = socketRooms.get(socket.id);
+    const room = roomCode && gameRooms.get(roomCode);
     
-    // Clean up all player data
-    cleanupPlayer(socket.id);
-    
-    // If player was in a room, notify other players
-    if (roomCode) {
-      io.to(roomCode).emit('playerLeft', { playerId: socket.id });
+    if (room?.status === 'playing' && socket.userId) {
+      // Authenticated players in a live game get a chance to rejoin
+      holdSeat(socket, roomCode, room);
+    } else {
+      // Clean up all player data
+      cleanupPlayer(socket.id);
+      
+      // If player was in a room, notify other players
+      if (roomCode) {
+        toRoomAndSpectators(roomCode).emit('playerLeft', { playerId: socket.id });
+      }
     }
     
     // Sync connection tracking and log accurate counts
-    const actualConnections = syncConnectionTracking();
-    console.log('Tracked connections:', activeConnections.size);
-    console.log('Actual socket connections:', actualConnections);
-    console.log('Matchmaking queue:', matchmakingQueue.length);
-    console.log('Active rooms:', gameRooms.size);
-  });
+    logger.debug('Connections', {
+      tracked: activeConnections.size,
+      actual: syncConnectionTracking(),
+      rooms: gameRooms.size
+    });
+  }));
 
   // Add handler for player authentication
-  socket.on('authenticate', async ({ userId, username }) => {
+  // The uid always comes from the verified ID token, never from the client.
+  // The token may be sent with the event or in the handshake auth payload.
+  socket.on('authenticate', async ({ token, username } = {}) => {
     try {
-      console.log('\n🔑 Authentication attempt');
-      console.log('User ID:', userId);
-      console.log('Username:', username);
+      logger.info('🔑 Authentication attempt', { username });
+
+      const idToken = token || socket.handshake.auth?.token;
+      if (!idToken) {
+        logger.info('❌ Missing token');
+        socket.emit('authentication_error', 'Missing token');
+        return;
+      }
 
-      if (!userId || !username) {
-        console.log('❌ Missing user data');
-        socket.emit('authentication_error', 'Missing user data');
+      let user;
+      try {
+        user = await verifyIdToken(idToken);
+      } catch (error) {
+        logger.info('❌ Token verification failed', { reason: error.message });
+        socket.emit('authentication_error', 'Invalid or expired token');
         return;
       }
 
+      const userId = user.uid;
+      logger.addLogContext({ userId });
+
       let stats = await PlayerStats.getStats(userId);
       if (!stats) {
-        console.log('Creating new stats for user');
-        stats = await PlayerStats.createStats(userId, username);
+        const initialUsername = username || user.name;
+        if (!initialUsername) {
+          logger.info('❌ Missing user data');
+          socket.emit('authentication_error', 'Missing user data');
+          return;
+        }
+        logger.info('Creating new stats for user');
+        stats = await PlayerStats.createStats(userId, initialUsername);
       }
       
+      await trackUserSocket(socket, userId);
       socket.userId = userId; // Store userId in socket for later use
-      console.log('✅ Authentication successful');
+      logger.info('✅ Authentication successful');
       socket.emit('authenticated', { stats });
     } catch (error) {
-      console.error('❌ Authentication error:', error);
+      logger.error('❌ Authentication error', { error });
       socket.emit('authentication_error', error.message || 'Authentication failed');
     }
   });
 
-  // Update game end handling
-  socket.on('gameEnd', async ({ roomCode, won, guesses }) => {
-    console.log('\n🎮 === GAME END ===');
-    console.log('Room code:', roomCode);
-    console.log('Player:', socket.id);
-    console.log('Won:', won);
-    console.log('Guesses:', guesses.length);
+  // Game results are derived on the server when the room finishes, so the
+  // client's report is only logged for diagnostics
+  socket.on('gameEnd', ({ roomCode, won } = {}) => {
+    logger.debug('🎮 Game end reported by client', { won, status: gameRooms.get(roomCode)?.status });
+  });
+}
 
-    const room = gameRooms.get(roomCode);
-    if (!room) {
-      console.log('❌ Room not found');
-      return;
+// Clean up inactive rooms every minute
+const cleanupInterval = setInterval(cleanupInactiveRooms, 60 * 1000);
+
+// Re-run matchmaking so search bands widen and queue status stays fresh
+const matchmakingInterval = setInterval(processMatchmakingQueue, 3 * 1000);
+
+// Resync game clocks every few seconds
+const clockInterval = setInterval(broadcastClocks, 5 * 1000);
+
+// Let other instances know this one is up, so what it left in the shared
+// state is only dropped once it stops
+function sendHeartbeat() {
+  return state.markAlive(INSTANCE_ID, INSTANCE_TTL_MS)
+    .catch(error => logger.error('Error sending heartbeat', { error }));
+}
+const heartbeatInterval = setInterval(sendHeartbeat, HEARTBEAT_MS);
+
+// Take this instance's players out of the matchmaking queue
+async function dropQueueEntries() {
+  try {
+    const queue = await state.getQueue();
+    await Promise.all(queue
+      .filter(entry => entry.instanceId === INSTANCE_ID || entry.homeId === INSTANCE_ID)
+      .map(entry => removeFromQueue(entry.socketId)));
+  } catch (error) {
+    logger.error('Error leaving matchmaking queue', { error });
+  }
+}
+
+// Wait until no game here is being played, or the deadline passes
+async function waitForGames(deadline) {
+  while (Date.now() < deadline && [...gameRooms.values()].some(room => room.status === 'playing')) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+}
+
+// Save every unfinished room for the next server to restore, and close all
+// rooms here. Resolves to the number of rooms saved.
+async function snapshotRooms() {
+  let saved = 0;
+  for (const [roomCode, room] of [...gameRooms.entries()]) {
+    if (room.status !== 'finished') {
+      try {
+        await RoomSnapshot.saveRoom(createRoomSnapshot(roomCode, room));
+        saved++;
+      } catch (error) {
+        logger.error('Error saving room', { roomCode, error });
+      }
     }
+    closeRoom(roomCode, room);
+  }
+  return saved;
+}
 
-    const playerIndex = room.players.indexOf(socket.id);
-    if (playerIndex === -1) {
-      console.log('❌ Player not in room');
+// Bring back rooms saved by a server that shut down. Nobody is connected to
+// them yet, so every seat is held for the grace window for its player to
+// come back with rejoinGame.
+async function restoreRooms() {
+  try {
+    if (!await state.acquireLock('restoreRooms', INSTANCE_ID, RESTORE_LOCK_MS)) {
       return;
     }
+    for (const snapshot of await RoomSnapshot.takeAll()) {
+      const { roomCode, room } = restoreRoomSnapshot(snapshot);
+      if (gameRooms.has(roomCode) || await state.getRoom(roomCode)) {
+        logger.warn('Room code already in use, not restoring', { roomCode });
+        continue;
+      }
 
-    try {
-      // Get opponent's socket and stats
-      const opponentId = room.players[1 - playerIndex];
-      const opponentSocket = io.sockets.sockets.get(opponentId);
-      const opponentStats = opponentSocket?.userId ? 
-        await PlayerStats.getStats(opponentSocket.userId) : null;
-
-      // Update player's stats
-      if (socket.userId) {
-        console.log('📊 Updating stats for player:', socket.userId);
-        const stats = await PlayerStats.updateStats(socket.userId, {
-          won,
-          guesses: guesses.length,
-          opponentRating: opponentStats?.rating
-        });
-
-        // Emit updated stats to both players
-        io.to(roomCode).emit('statsUpdate', {
-          playerId: socket.id,
-          stats
-        });
-
-        // If both players have finished, update opponent's stats too
-        if (room.guesses.size === 2 && opponentSocket?.userId) {
-          const opponentWon = !won;
-          const opponentGuesses = room.guesses.get(opponentId) || [];
-          
-          console.log('📊 Updating stats for opponent:', opponentSocket.userId);
-          const opponentUpdatedStats = await PlayerStats.updateStats(opponentSocket.userId, {
-            won: opponentWon,
-            guesses: opponentGuesses.length,
-            opponentRating: stats.rating
-          });
+      gameRooms.set(roomCode, room);
+      room.players
+        .filter(playerId => playerId !== room.bot?.playerId && !room.forfeited.has(playerId))
+        .forEach(playerId => reserveSeat(roomCode, room, playerId, room.userIds.get(playerId)));
+      if (room.clocks) {
+        room.clockTimers = new Map();
+        room.players.forEach(playerId => scheduleFlag(roomCode, room, playerId));
+      }
+      if (room.bot && room.status === 'playing' && !getPlayerOutcome(room, room.bot.playerId).finished) {
+        scheduleBotMove(roomCode, room);
+      }
+      if (room.tournament && room.status === 'waiting' && room.noShowAt) {
+        room.noShowTimer = setRoomTimeout(roomCode, () => handleNoShow(roomCode, room), room.noShowAt - Date.now());
+      }
+      publishRoom(roomCode, room);
 
-          io.to(roomCode).emit('statsUpdate', {
-            playerId: opponentId,
-            stats: opponentUpdatedStats
-          });
+      // Players still connected to another instance can rejoin straight away
+      room.userIds.forEach(userId => {
+        if (userId) {
+          emitToUser(userId, 'gameRestored', { roomCode });
         }
-      }
-    } catch (error) {
-      console.error('Error updating player stats:', error);
-      socket.emit('error', { message: 'Failed to update stats' });
+      });
+      logger.info('♻️ Restored room', { roomCode, gameId: room.gameId, status: room.status });
     }
+  } catch (error) {
+    logger.error('Error restoring rooms', { error });
+  } finally {
+    await state.releaseLock('restoreRooms', INSTANCE_ID);
+  }
+}
+
+// Wind down on SIGTERM: refuse new games, warn connected players, give live
+// games until the deadline to finish and save the rest for the next server
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+  logger.info('🛑 Shutting down', { signal, instanceId: INSTANCE_ID });
+
+  clearInterval(cleanupInterval);
+  clearInterval(matchmakingInterval);
+
+  const warning = { shutdownAt: new Date(deadline).toISOString(), graceMs: SHUTDOWN_GRACE_MS };
+  io.local.emit('serverShutdown', warning);
+  // Players and spectators of rooms here connected to other instances
+  const channels = [...gameRooms.keys()].flatMap(roomCode => [roomCode, getSpectatorChannel(roomCode)]);
+  if (state.isShared && channels.length > 0) {
+    io.to(channels).except([...io.sockets.sockets.keys()]).emit('serverShutdown', warning);
+  }
+  await dropQueueEntries();
+
+  await waitForGames(deadline);
+  await Promise.allSettled(pendingResults);
+  const saved = await snapshotRooms();
+  logger.info('💾 Saved unfinished rooms', { saved });
+
+  // Hand sockets of other instances back, and let a running instance take
+  // over the saved rooms
+  for (const socket of remoteSockets.values()) {
+    sendToInstances('releaseSocket', { socketId: socket.id }, socket.homeId);
+  }
+  remoteSockets.clear();
+  if (state.isShared && saved > 0) {
+    sendToInstances('restoreRooms', {});
+  }
+
+  clearInterval(clockInterval);
+  clearInterval(heartbeatInterval);
+  // Presence is updated before the sockets go, while shared state is still
+  // reachable
+  await Promise.allSettled([...io.sockets.sockets.values()].map(untrackUserSocket));
+  io.close(() => {
+    logger.info('👋 Server stopped');
+    process.exit(0);
+  });
+}
+
+process.on('SIGTERM', () => {
+  shutdown('SIGTERM').catch(error => {
+    logger.error('Error during shutdown', { error });
+    process.exit(1);
   });
 });
 
-// Clean up inactive rooms every minute
-setInterval(cleanupInactiveRooms, 60 * 1000);
+// Word pack languages with the word lengths each one supports
+app.get('/languages', (req, res) => {
+  res.json({ languages: getLanguages() });
+});
+
+// Quick reactions available in chat
+app.get('/chat/reactions', (req, res) => {
+  res.json({ reactions: QUICK_REACTIONS, maxMessageLength: MAX_MESSAGE_LENGTH });
+});
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  // Fail the load balancer's checks so no new players are sent here
+  if (shuttingDown) {
+    return res.status(503).json({ status: 'shutting_down', instance: INSTANCE_ID });
+  }
   const actualConnections = syncConnectionTracking();
-  res.json({
-    status: 'ok',
-    tracked_connections: activeConnections.size,
-    actual_connections: actualConnections,
-    rooms: gameRooms.size,
-    queue: matchmakingQueue.length
-  });
+  try {
+    res.json({
+      status: 'ok',
+      instance: INSTANCE_ID,
+      tracked_connections: activeConnections.size,
+      actual_connections: actualConnections,
+      rooms: gameRooms.size,
+      queue: (await state.getQueue()).length
+    });
+  } catch (error) {
+    logger.error('Error reading shared state', { error });
+    res.status(503).json({ status: 'error', error: 'Shared state unavailable' });
+  }
 });
 
 // Add new endpoint for leaderboard
 app.get('/leaderboard', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const leaderboard = await PlayerStats.getLeaderboard(limit);
-    res.json(leaderboard);
+    const includeProvisional = req.query.includeProvisional === 'true';
+    const leaderboard = await PlayerStats.getLeaderboard(limit, { includeProvisional });
+    res.json(leaderboard.map(getPublicStats));
   } catch (error) {
-    console.error('Error fetching leaderboard:', error);
+    logger.error('Error fetching leaderboard', { error });
     res.status(500).json({ error: 'Failed to fetch leaderboard' });
   }
 });
@@ -795,13 +3032,60 @@ app.get('/stats/:userId', async (req, res) => {
       res.status(404).json({ error: 'Player stats not found' });
       return;
     }
-    res.json(stats);
+    res.json(getPublicStats(stats));
   } catch (error) {
-    console.error('Error fetching player stats:', error);
+    logger.error('Error fetching player stats', { error });
     res.status(500).json({ error: 'Failed to fetch player stats' });
   }
 });
 
+// Daily challenge leaderboard, ranked by guesses then solve time
+app.get('/daily/leaderboard', async (req, res) => {
+  try {
+    const dayKey = req.query.day || getDayKey();
+    if (!isValidDayKey(dayKey)) {
+      return res.status(400).json({ error: 'Invalid day, expected YYYY-MM-DD' });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const leaderboard = await DailyChallenge.getLeaderboard(dayKey, limit);
+    res.json({ dayKey, leaderboard });
+  } catch (error) {
+    logger.error('Error fetching daily leaderboard', { error });
+    res.status(500).json({ error: 'Failed to fetch daily leaderboard' });
+  }
+});
+
+// Match history for a player, most recent first
+app.get('/players/:userId/games', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const page = await GameHistory.getPlayerGames(req.params.userId, {
+      limit,
+      before: req.query.before
+    });
+    res.json(page);
+  } catch (error) {
+    logger.error('Error fetching match history', { error });
+    res.status(500).json({ error: 'Failed to fetch match history' });
+  }
+});
+
+// A single completed game
+app.get('/games/:gameId', async (req, res) => {
+  try {
+    const game = await GameHistory.getGame(req.params.gameId);
+    if (!game) {
+      res.status(404).json({ error: 'Game not found' });
+      return;
+    }
+    res.json(game);
+  } catch (error) {
+    logger.error('Error fetching game', { error });
+    res.status(500).json({ error: 'Failed to fetch game' });
+  }
+});
+
 // Add these routes before the socket.io setup
 app.get('/api/username/check/:username', async (req, res) => {
   try {
@@ -809,22 +3093,243 @@ app.get('/api/username/check/:username', async (req, res) => {
     const isAvailable = await PlayerStats.isUsernameAvailable(username);
     res.json({ available: isAvailable });
   } catch (error) {
-    console.error('Error checking username:', error);
+    logger.error('Error checking username', { error });
     res.status(500).json({ error: 'Failed to check username availability' });
   }
 });
 
-app.put('/api/username/update', async (req, res) => {
+// HTTP status for errors thrown by the PlayerStats friend methods
+const FRIEND_ERROR_STATUS = {
+  'Player not found': 404,
+  'No friend request from this player': 404,
+  'Cannot add yourself as a friend': 400,
+  'Already friends': 409,
+  'Friend limit reached': 409
+};
+
+function sendFriendError(res, error, fallback) {
+  const status = FRIEND_ERROR_STATUS[error.message];
+  if (status) {
+    res.status(status).json({ error: error.message });
+    return;
+  }
+  logger.error(fallback, { error });
+  res.status(500).json({ error: fallback });
+}
+
+// The authenticated player's friends with their presence, and pending requests
+app.get('/friends', requireAuth, async (req, res) => {
+  try {
+    const { friends, incoming, outgoing } = await PlayerStats.getFriends(req.user.uid);
+    const presences = await getPresences(friends.map(friend => friend.userId));
+    res.json({
+      friends: friends.map(friend => ({ ...friend, status: presences.get(friend.userId) })),
+      incoming,
+      outgoing
+    });
+  } catch (error) {
+    sendFriendError(res, error, 'Failed to fetch friends');
+  }
+});
+
+// Send a friend request by username
+app.post('/friends/requests', requireAuth, async (req, res) => {
+  const { username } = req.body;
+  if (!username) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const { status, friend } = await PlayerStats.sendFriendRequest(userId, username);
+    const stats = await PlayerStats.getStats(userId);
+    const me = { userId, username: stats.username };
+    emitToUser(friend.userId, status === 'accepted' ? 'friendAdded' : 'friendRequest', {
+      friend: me,
+      status: await getPresence(userId)
+    });
+    res.json({ status, friend: { ...friend, status: await getPresence(friend.userId) } });
+  } catch (error) {
+    sendFriendError(res, error, 'Failed to send friend request');
+  }
+});
+
+app.post('/friends/requests/:userId/accept', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    await PlayerStats.acceptFriendRequest(userId, req.params.userId);
+    const stats = await PlayerStats.getStats(userId);
+    emitToUser(req.params.userId, 'friendAdded', {
+      friend: { userId, username: stats.username },
+      status: await getPresence(userId)
+    });
+    res.json({ success: true });
+  } catch (error) {
+    sendFriendError(res, error, 'Failed to accept friend request');
+  }
+});
+
+app.post('/friends/requests/:userId/decline', requireAuth, async (req, res) => {
+  try {
+    await PlayerStats.declineFriendRequest(req.user.uid, req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    sendFriendError(res, error, 'Failed to decline friend request');
+  }
+});
+
+// Remove a friend, or cancel a friend request sent to them
+app.delete('/friends/:userId', requireAuth, async (req, res) => {
+  try {
+    await PlayerStats.removeFriend(req.user.uid, req.params.userId);
+    emitToUser(req.params.userId, 'friendRemoved', { userId: req.user.uid });
+    res.json({ success: true });
+  } catch (error) {
+    sendFriendError(res, error, 'Failed to remove friend');
+  }
+});
+
+// Report an error thrown by the Tournament model
+function sendTournamentError(res, error, fallback) {
+  const known = TOURNAMENT_ERRORS[error.message];
+  if (known) {
+    res.status(known.status).json({ error: known.error });
+    return;
+  }
+  logger.error(fallback, { error });
+  res.status(500).json({ error: fallback });
+}
+
+// Tournaments, newest first, optionally filtered by status
+app.get('/tournaments', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const tournaments = await Tournament.listTournaments(req.query.status, limit);
+    res.json({ tournaments: tournaments.map(getTournamentView) });
+  } catch (error) {
+    logger.error('Error fetching tournaments', { error });
+    res.status(500).json({ error: 'Failed to fetch tournaments' });
+  }
+});
+
+// Create a tournament; the caller is its organizer
+app.post('/tournaments', requireAuth, async (req, res) => {
+  const { options, error } = parseTournamentOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const tournament = await Tournament.createTournament(req.user.uid, options);
+    res.status(201).json(getTournamentView(tournament));
+  } catch (error) {
+    sendTournamentError(res, error, 'Failed to create tournament');
+  }
+});
+
+app.get('/tournaments/:tournamentId', async (req, res) => {
+  try {
+    const tournament = await Tournament.getTournament(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ error: TOURNAMENT_ERRORS.TOURNAMENT_NOT_FOUND.error });
+    }
+    res.json(getTournamentView(tournament));
+  } catch (error) {
+    sendTournamentError(res, error, 'Failed to fetch tournament');
+  }
+});
+
+app.get('/tournaments/:tournamentId/standings', async (req, res) => {
+  try {
+    const tournament = await Tournament.getTournament(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ error: TOURNAMENT_ERRORS.TOURNAMENT_NOT_FOUND.error });
+    }
+    res.json({
+      tournamentId: tournament.tournamentId,
+      status: tournament.status,
+      currentRound: tournament.currentRound,
+      totalRounds: tournament.totalRounds,
+      champion: tournament.champion,
+      standings: getStandings(tournament)
+    });
+  } catch (error) {
+    sendTournamentError(res, error, 'Failed to fetch standings');
+  }
+});
+
+// Register the caller for a tournament that hasn't started
+app.post('/tournaments/:tournamentId/register', requireAuth, async (req, res) => {
+  try {
+    const stats = await PlayerStats.getStats(req.user.uid);
+    if (!stats) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const tournament = await Tournament.register(req.params.tournamentId, {
+      userId: req.user.uid,
+      username: stats.username,
+      rating: stats.rating
+    });
+    broadcastTournament(tournament);
+    res.json(getTournamentView(tournament));
+  } catch (error) {
+    sendTournamentError(res, error, 'Failed to register');
+  }
+});
+
+// Close registration and open the first round; organizer only
+app.post('/tournaments/:tournamentId/start', requireAuth, async (req, res) => {
+  try {
+    const tournament = await Tournament.start(req.params.tournamentId, req.user.uid);
+    logger.info('🏆 Tournament started', { tournamentId: tournament.tournamentId });
+    await openTournamentMatches(tournament);
+    res.json(getTournamentView(await Tournament.getTournament(tournament.tournamentId)));
+  } catch (error) {
+    sendTournamentError(res, error, 'Failed to start tournament');
+  }
+});
+
+// Prometheus metrics. With METRICS_TOKEN set, scrapes must send it as a
+// bearer token.
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  metrics.activeRooms.set(gameRooms.size);
+  metrics.connectedSockets.set(getActualConnectionCount());
+  try {
+    const queue = await state.getQueue();
+    metrics.queuedPlayers.set(queue.filter(entry => entry.instanceId === INSTANCE_ID).length);
+  } catch (error) {
+    logger.error('Error reading shared state', { error });
+  }
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).end();
+  }
+});
+
+app.put('/api/username/update', requireAuth, async (req, res) => {
   try {
-    const { userId, newUsername } = req.body;
-    if (!userId || !newUsername) {
+    const userId = req.user.uid;
+    const { newUsername } = req.body;
+    if (!newUsername) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+
+    // Older clients still send userId; it must match the token
+    if (req.body.userId && req.body.userId !== userId) {
+      return res.status(403).json({ error: 'Cannot update another user' });
+    }
     
     const updatedStats = await PlayerStats.updateUsername(userId, newUsername);
     res.json(updatedStats);
   } catch (error) {
-    console.error('Error updating username:', error);
+    logger.error('Error updating username', { error });
     if (error.message === 'Username already taken') {
       res.status(409).json({ error: error.message });
     } else {
@@ -834,6 +3339,15 @@ app.put('/api/username/update', async (req, res) => {
 });
 
 const PORT = process.env.PORT || 3001;
-httpServer.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-}); 
\ No newline at end of file
+state.connect(io)
+  .then(sendHeartbeat)
+  .then(restoreRooms)
+  .then(() => {
+    httpServer.listen(PORT, () => {
+      logger.info('Server running', { port: PORT, instanceId: INSTANCE_ID });
+    });
+  })
+  .catch(error => {
+    logger.error('Failed to connect to shared state', { error });
+    process.exit(1);
+  }); 
\ No newline at end of file
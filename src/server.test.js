@@ -0,0 +1,229 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const readline = require('readline');
+const { io } = require('socket.io-client');
+const { signTestToken } = require('./auth/tokenVerifier');
+
+// Socket flows against a real server process with in-memory storage and the
+// test token verifier. Target words are read from the server's debug log.
+const AUTH_TEST_SECRET = 'server-test-secret';
+const RECONNECT_GRACE_MS = 1000;
+const EVENT_TIMEOUT_MS = 5000;
+
+const WRONG_GUESSES = ['abase', 'abate', 'abbey', 'abbot', 'abhor', 'abide', 'abode'];
+
+let server = null;
+let serverUrl = null;
+const targetWords = new Map();
+const sockets = [];
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer() {
+  const port = await getFreePort();
+  server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      STORAGE_BACKEND: 'memory',
+      STATE_BACKEND: 'memory',
+      AUTH_VERIFIER: 'test',
+      AUTH_TEST_SECRET,
+      DAILY_SECRET: 'server-test-daily',
+      RECONNECT_GRACE_MS: String(RECONNECT_GRACE_MS),
+      SHUTDOWN_GRACE_MS: '0',
+      LOG_LEVEL: 'debug',
+      LOG_FORMAT: 'json'
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  serverUrl = `http://localhost:${port}`;
+
+  await new Promise((resolve, reject) => {
+    server.once('exit', code => reject(new Error(`Server exited with code ${code}`)));
+    readline.createInterface({ input: server.stdout }).on('line', line => {
+      const entry = JSON.parse(line);
+      if (entry.msg === 'Target word chosen') {
+        targetWords.set(entry.roomCode, entry.targetWord.toLowerCase());
+      } else if (entry.msg === 'Server running') {
+        resolve();
+      }
+    });
+  });
+}
+
+function stopServer() {
+  if (!server || server.exitCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    server.removeAllListeners('exit');
+    server.once('exit', resolve);
+    server.kill('SIGKILL');
+  });
+}
+
+// Resolves with the next payload of an event, or rejects if it doesn't come
+function nextEvent(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} event`)), EVENT_TIMEOUT_MS);
+    socket.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+async function connectPlayer(userId) {
+  const socket = io(serverUrl, {
+    transports: ['websocket'],
+    forceNew: true,
+    auth: { token: signTestToken({ sub: userId, name: userId }, AUTH_TEST_SECRET) }
+  });
+  sockets.push(socket);
+  await nextEvent(socket, 'connect');
+  const authenticated = nextEvent(socket, 'authenticated');
+  socket.emit('authenticate', {});
+  await authenticated;
+  return socket;
+}
+
+async function startQuickMatch(userA, userB) {
+  const [a, b] = await Promise.all([connectPlayer(userA), connectPlayer(userB)]);
+  const started = Promise.all([nextEvent(a, 'gameStart'), nextEvent(b, 'gameStart')]);
+  a.emit('joinMatchmaking');
+  b.emit('joinMatchmaking');
+  const [gameStart] = await started;
+  return { a, b, roomCode: gameStart.roomCode };
+}
+
+function guess(socket, roomCode, word) {
+  return socket.timeout(EVENT_TIMEOUT_MS).emitWithAck('makeGuess', { roomCode, guess: word });
+}
+
+function wrongGuesses(roomCode) {
+  return WRONG_GUESSES.filter(word => word !== targetWords.get(roomCode));
+}
+
+describe('socket flows', { timeout: 60000 }, () => {
+  before(startServer);
+
+  after(async () => {
+    sockets.forEach(socket => socket.close());
+    await stopServer();
+  });
+
+  it('plays a quick match from matchmaking to gameOver', async () => {
+    const { a, b, roomCode } = await startQuickMatch('flow-a', 'flow-b');
+    const targetWord = targetWords.get(roomCode);
+
+    // The opponent sees the colours of a guess but not its letters
+    const opponentUpdate = nextEvent(b, 'guessUpdate');
+    const missed = await guess(a, roomCode, wrongGuesses(roomCode)[0]);
+    assert.equal(missed.success, true);
+    assert.equal(missed.attemptsLeft, 5);
+    assert.equal((await opponentUpdate).guess, undefined);
+
+    const solved = await guess(a, roomCode, targetWord);
+    assert.deepEqual(solved.feedback, Array(5).fill('correct'));
+
+    // Quick matches are timed, so the game runs on while the opponent could
+    // still solve in fewer guesses
+    const gameOvers = Promise.all([nextEvent(a, 'gameOver'), nextEvent(b, 'gameOver')]);
+    await guess(b, roomCode, wrongGuesses(roomCode)[0]);
+
+    const [overA, overB] = await gameOvers;
+    assert.equal(overA.winner, a.id);
+    assert.equal(overB.winner, a.id);
+    assert.equal(overB.targetWord, targetWord.toUpperCase());
+    assert.deepEqual(overA.guessesUsed, { [a.id]: 2, [b.id]: 1 });
+  });
+
+  it('rejects guesses that are not words or are repeated', async () => {
+    const { a, roomCode } = await startQuickMatch('reject-a', 'reject-b');
+    const [word] = wrongGuesses(roomCode);
+
+    assert.equal((await guess(a, roomCode, 'zzzzz')).code, 'NOT_IN_WORD_LIST');
+    assert.equal((await guess(a, roomCode, 'abs')).code, 'WRONG_LENGTH');
+    await guess(a, roomCode, word);
+    assert.equal((await guess(a, roomCode, word)).code, 'DUPLICATE_GUESS');
+  });
+
+  it('accepts room codes in lower case', async () => {
+    const { a, b, roomCode } = await startQuickMatch('case-a', 'case-b');
+    assert.equal((await guess(a, roomCode.toLowerCase(), wrongGuesses(roomCode)[0])).success, true);
+
+    const gameOver = nextEvent(a, 'gameOver');
+    const resigned = await b.timeout(EVENT_TIMEOUT_MS).emitWithAck('resign', { roomCode: roomCode.toLowerCase() });
+    assert.equal(resigned.success, true);
+    assert.equal((await gameOver).forfeitReason, 'resigned');
+  });
+
+  it('lets a player rejoin within the grace window with their board', async () => {
+    const { a, b, roomCode } = await startQuickMatch('rejoin-a', 'rejoin-b');
+    const [word] = wrongGuesses(roomCode);
+    await guess(a, roomCode, word);
+
+    const droppedId = a.id;
+    const disconnected = nextEvent(b, 'playerDisconnected');
+    a.close();
+    assert.equal((await disconnected).playerId, droppedId);
+
+    const returning = await connectPlayer('rejoin-a');
+    const reconnected = nextEvent(b, 'playerReconnected');
+    const rejoined = await returning.timeout(EVENT_TIMEOUT_MS).emitWithAck('rejoinGame');
+    assert.equal(rejoined.success, true);
+    assert.equal(rejoined.roomCode, roomCode);
+    assert.equal(rejoined.status, 'playing');
+    const ownBoard = rejoined.board.find(board => board.playerId === returning.id);
+    assert.equal(ownBoard.guesses[0].guess, word.toUpperCase());
+    assert.equal((await reconnected).playerId, returning.id);
+
+    // The seat plays on under the new socket
+    await guess(returning, roomCode, targetWords.get(roomCode));
+    const gameOver = nextEvent(b, 'gameOver');
+    await guess(b, roomCode, word);
+    assert.equal((await gameOver).winner, returning.id);
+  });
+
+  it('forfeits a live game for a player who does not rejoin in time', async () => {
+    const { a, b, roomCode } = await startQuickMatch('abandon-a', 'abandon-b');
+    await guess(a, roomCode, wrongGuesses(roomCode)[0]);
+
+    const gameOver = nextEvent(b, 'gameOver');
+    a.close();
+    const result = await gameOver;
+    assert.equal(result.winner, b.id);
+    assert.equal(result.forfeitReason, 'abandoned');
+  });
+
+  it('keeps the seat of a player who finished their board before dropping', async () => {
+    const { a, b, roomCode } = await startQuickMatch('finished-a', 'finished-b');
+    const [word] = wrongGuesses(roomCode);
+    await guess(a, roomCode, word);
+    await guess(a, roomCode, targetWords.get(roomCode));
+    const finishedId = a.id;
+    a.close();
+
+    // Past the grace window the game is still decided by the boards
+    await new Promise(resolve => setTimeout(resolve, RECONNECT_GRACE_MS + 500));
+    const gameOver = nextEvent(b, 'gameOver');
+    await guess(b, roomCode, word);
+    const result = await gameOver;
+    assert.equal(result.winner, finishedId);
+    assert.equal(result.forfeitReason, null);
+  });
+});
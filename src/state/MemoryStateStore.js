@@ -0,0 +1,149 @@
+// Shared state for a single server instance, kept in process. Has the same
+// interface as RedisStateStore; data is copied in and out so callers never
+// share references with the store.
+class MemoryStateStore {
+  constructor() {
+    this.rooms = new Map();
+    this.queue = new Map();
+    this.locks = new Map();
+    this.instances = new Map();
+    this.userSockets = new Map();
+    this.invites = new Map();
+  }
+
+  // Whether other instances can see this state
+  get isShared() {
+    return false;
+  }
+
+  async connect() {}
+
+  // Room directory: { instanceId, status, userIds } by room code
+
+  async setRoom(roomCode, room) {
+    this.rooms.set(roomCode, structuredClone(room));
+  }
+
+  async getRoom(roomCode) {
+    const room = this.rooms.get(roomCode);
+    return room ? structuredClone(room) : null;
+  }
+
+  async deleteRoom(roomCode) {
+    this.rooms.delete(roomCode);
+  }
+
+  // Every room as { roomCode, instanceId, status, userIds }
+  async getRooms() {
+    return [...this.rooms.entries()].map(([roomCode, room]) => ({ roomCode, ...structuredClone(room) }));
+  }
+
+  // Matchmaking queue, one entry per socket
+
+  // Add an entry unless the user already has another socket queued. Returns
+  // whether it was added.
+  async addToQueue(entry) {
+    const queuedElsewhere = [...this.queue.values()].some(queued => (
+      queued.userId === entry.userId && queued.socketId !== entry.socketId
+    ));
+    if (queuedElsewhere) {
+      return false;
+    }
+    this.queue.set(entry.socketId, structuredClone(entry));
+    return true;
+  }
+
+  // Remove a socket's entry, returning it, or null if it was not queued
+  async removeFromQueue(socketId) {
+    const entry = this.queue.get(socketId) || null;
+    this.queue.delete(socketId);
+    return entry;
+  }
+
+  // Queued entries, longest waiting first
+  async getQueue() {
+    return [...this.queue.values()]
+      .map(entry => structuredClone(entry))
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  // Take a named lock for ttlMs unless it is already held
+  async acquireLock(name, owner, ttlMs) {
+    const lock = this.locks.get(name);
+    if (lock && lock.expiresAt > Date.now()) {
+      return false;
+    }
+    this.locks.set(name, { owner, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  async releaseLock(name, owner) {
+    if (this.locks.get(name)?.owner === owner) {
+      this.locks.delete(name);
+    }
+  }
+
+  // Instance heartbeats, so state left by a stopped instance can be dropped
+
+  async markAlive(instanceId, ttlMs) {
+    this.instances.set(instanceId, Date.now() + ttlMs);
+  }
+
+  async isAlive(instanceId) {
+    return (this.instances.get(instanceId) || 0) > Date.now();
+  }
+
+  // Connected sockets per user. Every socket is on this instance, so the
+  // instance id is not kept.
+
+  // Returns how many sockets the user has now
+  async addUserSocket(userId, socketId, instanceId) {
+    if (!this.userSockets.has(userId)) {
+      this.userSockets.set(userId, new Set());
+    }
+    const sockets = this.userSockets.get(userId);
+    sockets.add(socketId);
+    return sockets.size;
+  }
+
+  // Returns how many sockets the user has left, or null if the socket was
+  // not tracked
+  async removeUserSocket(userId, socketId) {
+    const sockets = this.userSockets.get(userId);
+    if (!sockets?.delete(socketId)) {
+      return null;
+    }
+    if (sockets.size === 0) {
+      this.userSockets.delete(userId);
+    }
+    return sockets.size;
+  }
+
+  async countUserSockets(userId) {
+    return this.userSockets.get(userId)?.size || 0;
+  }
+
+  // Game invites, dropped after ttlMs
+
+  async setInvite(invite, ttlMs) {
+    this.invites.set(invite.inviteId, { invite: structuredClone(invite), expiresAt: Date.now() + ttlMs });
+  }
+
+  async getInvite(inviteId) {
+    const stored = this.invites.get(inviteId);
+    if (!stored || stored.expiresAt <= Date.now()) {
+      this.invites.delete(inviteId);
+      return null;
+    }
+    return structuredClone(stored.invite);
+  }
+
+  // Remove an invite and return it. Only one caller gets it.
+  async takeInvite(inviteId) {
+    const invite = await this.getInvite(inviteId);
+    this.invites.delete(inviteId);
+    return invite;
+  }
+}
+
+module.exports = MemoryStateStore;
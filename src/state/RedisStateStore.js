@@ -0,0 +1,157 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const logger = require('../logging');
+
+const KEY_PREFIX = 'wordle:';
+
+function key(name) {
+  return `${KEY_PREFIX}${name}`;
+}
+
+// Shared state in Redis, seen by every instance connected to the same
+// server. Also carries socket.io broadcasts between instances through the
+// Redis adapter.
+class RedisStateStore {
+  constructor(url) {
+    this.client = createClient({ url });
+    this.client.on('error', (error) => logger.error('Redis error', { reason: error.message }));
+  }
+
+  get isShared() {
+    return true;
+  }
+
+  // Connect, and route socket.io broadcasts through Redis pub/sub so they
+  // reach sockets on every instance
+  async connect(io) {
+    const subClient = this.client.duplicate();
+    subClient.on('error', (error) => logger.error('Redis subscriber error', { reason: error.message }));
+    await Promise.all([this.client.connect(), subClient.connect()]);
+    io.adapter(createAdapter(this.client, subClient));
+  }
+
+  async setRoom(roomCode, room) {
+    await this.client.hSet(key('rooms'), roomCode, JSON.stringify(room));
+  }
+
+  async getRoom(roomCode) {
+    const value = await this.client.hGet(key('rooms'), roomCode);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async deleteRoom(roomCode) {
+    await this.client.hDel(key('rooms'), roomCode);
+  }
+
+  async getRooms() {
+    const rooms = await this.client.hGetAll(key('rooms'));
+    return Object.entries(rooms).map(([roomCode, value]) => ({ roomCode, ...JSON.parse(value) }));
+  }
+
+  // A per-user key set with NX claims the user's one place in the queue, so
+  // two sockets of the same user can't both be added
+  async addToQueue(entry) {
+    const userKey = key(`queue-user:${entry.userId}`);
+    const claimed = await this.client.set(userKey, entry.socketId, { NX: true });
+    if (claimed !== 'OK' && await this.client.get(userKey) !== entry.socketId) {
+      return false;
+    }
+    await this.client.hSet(key('queue'), entry.socketId, JSON.stringify(entry));
+    return true;
+  }
+
+  async removeFromQueue(socketId) {
+    const value = await this.client.hGet(key('queue'), socketId);
+    if (!value) {
+      return null;
+    }
+    // Only the caller whose delete went through gets the entry
+    const removed = await this.client.hDel(key('queue'), socketId);
+    if (!removed) {
+      return null;
+    }
+    const entry = JSON.parse(value);
+    const userKey = key(`queue-user:${entry.userId}`);
+    if (await this.client.get(userKey) === socketId) {
+      await this.client.del(userKey);
+    }
+    return entry;
+  }
+
+  async getQueue() {
+    const queue = await this.client.hGetAll(key('queue'));
+    return Object.values(queue)
+      .map(value => JSON.parse(value))
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  async acquireLock(name, owner, ttlMs) {
+    const result = await this.client.set(key(`lock:${name}`), owner, { NX: true, PX: ttlMs });
+    return result === 'OK';
+  }
+
+  async releaseLock(name, owner) {
+    if (await this.client.get(key(`lock:${name}`)) === owner) {
+      await this.client.del(key(`lock:${name}`));
+    }
+  }
+
+  async markAlive(instanceId, ttlMs) {
+    await this.client.set(key(`instance:${instanceId}`), Date.now().toString(), { PX: ttlMs });
+  }
+
+  async isAlive(instanceId) {
+    return (await this.client.exists(key(`instance:${instanceId}`))) === 1;
+  }
+
+  // Each user socket is stored with the instance it is connected to, so
+  // sockets of an instance that stopped without cleaning up can be dropped
+  async addUserSocket(userId, socketId, instanceId) {
+    await this.client.hSet(key(`user:${userId}:connections`), socketId, instanceId);
+    return this.countUserSockets(userId);
+  }
+
+  async removeUserSocket(userId, socketId) {
+    if (!await this.client.hDel(key(`user:${userId}:connections`), socketId)) {
+      return null;
+    }
+    return this.countUserSockets(userId);
+  }
+
+  async countUserSockets(userId) {
+    const connections = await this.client.hGetAll(key(`user:${userId}:connections`));
+    const alive = new Map();
+    let count = 0;
+    for (const [socketId, instanceId] of Object.entries(connections)) {
+      if (!alive.has(instanceId)) {
+        alive.set(instanceId, await this.isAlive(instanceId));
+      }
+      if (alive.get(instanceId)) {
+        count++;
+      } else {
+        await this.client.hDel(key(`user:${userId}:connections`), socketId);
+      }
+    }
+    return count;
+  }
+
+  async setInvite(invite, ttlMs) {
+    await this.client.set(key(`invite:${invite.inviteId}`), JSON.stringify(invite), { PX: ttlMs });
+  }
+
+  async getInvite(inviteId) {
+    const value = await this.client.get(key(`invite:${inviteId}`));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async takeInvite(inviteId) {
+    const value = await this.client.get(key(`invite:${inviteId}`));
+    if (!value) {
+      return null;
+    }
+    const removed = await this.client.del(key(`invite:${inviteId}`));
+    return removed ? JSON.parse(value) : null;
+  }
+}
+
+module.exports = RedisStateStore;
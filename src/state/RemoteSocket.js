@@ -0,0 +1,49 @@
+// Stands in for a socket connected to another instance while its events are
+// handled here, because it plays in a room this instance owns. Emits and
+// room changes go through the adapter to the real socket.
+class RemoteSocket {
+  constructor(io, id, homeId, userId) {
+    this.io = io;
+    this.id = id;
+    // Instance the real socket is connected to
+    this.homeId = homeId;
+    this.userId = userId;
+    this.connected = true;
+    // Set once this instance has told the others it handles the socket
+    this.claimed = false;
+    this.handshake = { auth: {} };
+    this.handlers = new Map();
+  }
+
+  on(event, handler) {
+    this.handlers.set(event, handler);
+    return this;
+  }
+
+  // Run the handler registered for an event forwarded from the home instance
+  async dispatch(event, args) {
+    const handler = this.handlers.get(event);
+    if (handler) {
+      await handler(...args);
+    }
+  }
+
+  emit(event, ...args) {
+    this.io.to(this.id).emit(event, ...args);
+    return true;
+  }
+
+  join(room) {
+    this.io.in(this.id).socketsJoin(room);
+  }
+
+  leave(room) {
+    this.io.in(this.id).socketsLeave(room);
+  }
+
+  to(room) {
+    return this.io.to(room).except(this.id);
+  }
+}
+
+module.exports = RemoteSocket;
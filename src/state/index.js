@@ -0,0 +1,39 @@
+const MemoryStateStore = require('./MemoryStateStore');
+const RedisStateStore = require('./RedisStateStore');
+require('dotenv').config();
+
+// STATE_BACKEND selects where state shared between server instances (the
+// room directory, matchmaking queue, presence and invites) is kept:
+//   memory - in-process, for a single instance (default)
+//   redis  - Redis at REDIS_URL, for running several instances behind a
+//            load balancer
+function getStateBackend() {
+  return process.env.STATE_BACKEND || 'memory';
+}
+
+let stateStore = null;
+
+function createStateStore() {
+  const backend = getStateBackend();
+  switch (backend) {
+    case 'memory':
+      return new MemoryStateStore();
+    case 'redis':
+      return new RedisStateStore(process.env.REDIS_URL || 'redis://localhost:6379');
+    default:
+      throw new Error(`Unknown STATE_BACKEND: ${backend}`);
+  }
+}
+
+// The state store, created on first use
+function getStateStore() {
+  if (!stateStore) {
+    stateStore = createStateStore();
+  }
+  return stateStore;
+}
+
+module.exports = {
+  getStateBackend,
+  getStateStore
+};
@@ -0,0 +1,75 @@
+const { getDb } = require('../config/firebase');
+
+// Repository backed by a Firestore collection
+class FirestoreRepository {
+  constructor(collectionName) {
+    this.collectionName = collectionName;
+  }
+
+  collection() {
+    return getDb().collection(this.collectionName);
+  }
+
+  async get(id) {
+    const doc = await this.collection().doc(id).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async set(id, data) {
+    await this.collection().doc(id).set(data);
+    return data;
+  }
+
+  async update(id, updates) {
+    await this.collection().doc(id).update(updates);
+    return this.get(id);
+  }
+
+  async delete(id) {
+    await this.collection().doc(id).delete();
+  }
+
+  // where: [[field, op, value]], orderBy: [field, 'asc' | 'desc']
+  async find({ where = [], orderBy, limit } = {}) {
+    let query = this.collection();
+    where.forEach(([field, op, value]) => {
+      query = query.where(field, op, value);
+    });
+    if (orderBy) {
+      query = query.orderBy(orderBy[0], orderBy[1] || 'asc');
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Read-modify-write a document atomically. updateFn receives the current
+  // data (null if missing) and returns the fields to update, which may be none.
+  async transaction(id, updateFn) {
+    const db = getDb();
+    const ref = this.collection().doc(id);
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const current = doc.exists ? doc.data() : null;
+      const updates = await updateFn(current);
+
+      // Firestore rejects empty updates, and there is nothing to write anyway
+      if (Object.keys(updates).length === 0) {
+        return current;
+      }
+
+      if (doc.exists) {
+        transaction.update(ref, updates);
+      } else {
+        transaction.set(ref, updates);
+      }
+      return { ...current, ...updates };
+    });
+  }
+}
+
+module.exports = FirestoreRepository;
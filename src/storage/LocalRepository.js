@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+// How long a writer waits for another process's lock before taking it over
+const LOCK_TIMEOUT_MS = 2000;
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+// In-memory document store shared by all local repositories. When a file
+// path is given the whole store is loaded from and written back to it as JSON.
+// Several processes on one machine may share the file: writes take a lock
+// file and apply to the latest data, and reads pick up other processes'
+// writes.
+class LocalStore {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.collections = {};
+    this.pending = Promise.resolve();
+    this.loadedVersion = null;
+    this.load();
+  }
+
+  // Modification time and size of the file, or null while there is none
+  fileVersion() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    const { mtimeMs, size } = fs.statSync(this.filePath);
+    return `${mtimeMs}:${size}`;
+  }
+
+  load() {
+    if (!this.filePath) {
+      return;
+    }
+    const version = this.fileVersion();
+    if (version && version !== this.loadedVersion) {
+      this.collections = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.loadedVersion = version;
+    }
+  }
+
+  collection(name) {
+    this.load();
+    if (!this.collections[name]) {
+      this.collections[name] = {};
+    }
+    return this.collections[name];
+  }
+
+  // Run change against the latest data and save the result, holding the lock
+  // so no other process writes in between
+  write(change) {
+    if (!this.filePath) {
+      return change();
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const lockPath = `${this.filePath}.lock`;
+    this.lock(lockPath);
+    try {
+      this.load();
+      const result = change();
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.collections, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+      this.loadedVersion = this.fileVersion();
+      return result;
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  // Writes are synchronous, so the wait for the lock is too. A lock held past
+  // the timeout was left by a process that stopped mid-write.
+  lock(lockPath) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      if (Date.now() > deadline) {
+        fs.rmSync(lockPath, { force: true });
+      } else {
+        Atomics.wait(sleepCell, 0, 0, 5);
+      }
+    }
+  }
+}
+
+const compare = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+// Repository over one collection of a LocalStore, with the same interface as
+// FirestoreRepository. Data is copied in and out so callers never share
+// references with the store.
+class LocalRepository {
+  constructor(store, collectionName) {
+    this.store = store;
+    this.collectionName = collectionName;
+  }
+
+  documents() {
+    return this.store.collection(this.collectionName);
+  }
+
+  async get(id) {
+    const data = this.documents()[id];
+    return data ? structuredClone(data) : null;
+  }
+
+  async set(id, data) {
+    this.store.write(() => {
+      this.documents()[id] = structuredClone(data);
+    });
+    return data;
+  }
+
+  async update(id, updates) {
+    this.store.write(() => {
+      const current = this.documents()[id];
+      if (!current) {
+        throw new Error(`No document to update: ${this.collectionName}/${id}`);
+      }
+      this.documents()[id] = { ...current, ...structuredClone(updates) };
+    });
+    return this.get(id);
+  }
+
+  async delete(id) {
+    this.store.write(() => {
+      delete this.documents()[id];
+    });
+  }
+
+  async find({ where = [], orderBy, limit } = {}) {
+    let results = Object.values(this.documents()).filter(data =>
+      where.every(([field, op, value]) => {
+        if (!compare[op]) {
+          throw new Error(`Unsupported query operator: ${op}`);
+        }
+        return data[field] !== undefined && compare[op](data[field], value);
+      })
+    );
+
+    if (orderBy) {
+      const [field, direction = 'asc'] = orderBy;
+      const sign = direction === 'desc' ? -1 : 1;
+      results = results
+        .filter(data => data[field] !== undefined)
+        .sort((a, b) => (a[field] < b[field] ? -sign : a[field] > b[field] ? sign : 0));
+    }
+
+    if (limit) {
+      results = results.slice(0, limit);
+    }
+    return results.map(data => structuredClone(data));
+  }
+
+  // Transactions on the store run one after another, so a read-modify-write
+  // never interleaves with another transaction in this process. Processes
+  // sharing a file only keep their writes from overwriting each other.
+  transaction(id, updateFn) {
+    const run = async () => {
+      const current = await this.get(id);
+      const updates = await updateFn(current);
+      this.store.write(() => {
+        this.documents()[id] = { ...this.documents()[id], ...structuredClone(updates) };
+      });
+      return this.get(id);
+    };
+
+    const result = this.store.pending.then(run, run);
+    this.store.pending = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = {
+  LocalStore,
+  LocalRepository
+};
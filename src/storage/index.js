@@ -0,0 +1,84 @@
+const path = require('path');
+const FirestoreRepository = require('./FirestoreRepository');
+const { LocalStore, LocalRepository } = require('./LocalRepository');
+const { timeStorageOperation } = require('../metrics');
+require('dotenv').config();
+
+// STORAGE_BACKEND selects where models keep their data:
+//   firestore - Firebase Firestore (default when FIREBASE_SERVICE_ACCOUNT is set)
+//   memory    - in-process only, lost on restart (default otherwise)
+//   file      - in-process, persisted as JSON to STORAGE_FILE
+function getBackend() {
+  return process.env.STORAGE_BACKEND ||
+    (process.env.FIREBASE_SERVICE_ACCOUNT ? 'firestore' : 'memory');
+}
+
+let localStore = null;
+const repositories = new Map();
+
+function getLocalStore(backend) {
+  if (!localStore) {
+    const filePath = backend === 'file'
+      ? path.resolve(process.env.STORAGE_FILE || 'data/local-db.json')
+      : null;
+    localStore = new LocalStore(filePath);
+  }
+  return localStore;
+}
+
+function createRepository(collectionName) {
+  const backend = getBackend();
+  switch (backend) {
+    case 'firestore':
+      return new FirestoreRepository(collectionName);
+    case 'memory':
+    case 'file':
+      return new LocalRepository(getLocalStore(backend), collectionName);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+// Wrap a repository so every call is timed and failures are counted. Errors
+// thrown by a transaction's update function are the caller's, not the
+// backend's, so they are not counted.
+function instrumentRepository(repository, collectionName) {
+  const labels = operation => ({ backend: getBackend(), collection: collectionName, operation });
+  const instrumented = Object.create(repository);
+
+  ['get', 'set', 'update', 'delete', 'find'].forEach(operation => {
+    instrumented[operation] = (...args) =>
+      timeStorageOperation(labels(operation), () => repository[operation](...args));
+  });
+
+  instrumented.transaction = (id, updateFn) => {
+    const updateErrors = new Set();
+    const trackedUpdate = async (current) => {
+      try {
+        return await updateFn(current);
+      } catch (error) {
+        updateErrors.add(error);
+        throw error;
+      }
+    };
+    return timeStorageOperation(
+      labels('transaction'),
+      () => repository.transaction(id, trackedUpdate),
+      error => !updateErrors.has(error)
+    );
+  };
+  return instrumented;
+}
+
+// Repository for a collection, created on first use
+function getRepository(collectionName) {
+  if (!repositories.has(collectionName)) {
+    repositories.set(collectionName, instrumentRepository(createRepository(collectionName), collectionName));
+  }
+  return repositories.get(collectionName);
+}
+
+module.exports = {
+  getBackend,
+  getRepository
+};
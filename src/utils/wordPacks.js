@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Each pack has a curated answer list per word length (answers-<length>.json)
+// and optionally a larger list of extra words accepted as guesses
+// (allowed-<length>.json). Words are stored in lower case.
+const PACKS_DIR = path.join(__dirname, 'word-packs');
+
+const WORD_PACKS = {
+    en: {
+        name: 'English',
+        locale: 'en',
+        alphabet: 'abcdefghijklmnopqrstuvwxyz',
+        lengths: [4, 5, 6, 7]
+    },
+    de: {
+        name: 'Deutsch',
+        locale: 'de',
+        alphabet: 'abcdefghijklmnopqrstuvwxyzäöüß',
+        lengths: [5]
+    },
+    tr: {
+        name: 'Türkçe',
+        locale: 'tr',
+        alphabet: 'abcçdefgğhıijklmnoöprsştuüvyz',
+        lengths: [5]
+    }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(WORD_PACKS);
+
+// Loaded lists by language and length
+const loaded = new Map();
+
+function readWords(language, file) {
+    const filePath = path.join(PACKS_DIR, language, file);
+    return fs.existsSync(filePath) ? require(filePath).words : [];
+}
+
+function getPack(language = DEFAULT_LANGUAGE) {
+    const pack = WORD_PACKS[language];
+    if (!pack) {
+        throw new Error(`No word pack for language ${language}`);
+    }
+    return pack;
+}
+
+// { answers, allowed } for a language and length, where allowed is a Set of
+// every accepted guess including the answers
+function getLists(language, length) {
+    const key = `${language}:${length}`;
+    if (!loaded.has(key)) {
+        if (!getPack(language).lengths.includes(length)) {
+            loaded.set(key, { answers: [], allowed: new Set() });
+        } else {
+            const answers = readWords(language, `answers-${length}.json`);
+            const allowed = new Set([...answers, ...readWords(language, `allowed-${length}.json`)]);
+            loaded.set(key, { answers, allowed });
+        }
+    }
+    return loaded.get(key);
+}
+
+// Upper-casing follows the language: Turkish i becomes İ, and German ß
+// becomes ẞ so a word keeps its length
+function toUpperCase(word, language = DEFAULT_LANGUAGE) {
+    const { locale } = getPack(language);
+    const text = word.normalize('NFC');
+    return (language === 'de' ? text.replace(/ß/g, 'ẞ') : text).toLocaleUpperCase(locale);
+}
+
+function toLowerCase(word, language = DEFAULT_LANGUAGE) {
+    return word.normalize('NFC').toLocaleLowerCase(getPack(language).locale);
+}
+
+// Whether every letter of a word is in the language's alphabet
+function isInAlphabet(word, language = DEFAULT_LANGUAGE) {
+    const { alphabet } = getPack(language);
+    return [...toLowerCase(word, language)].every(letter => alphabet.includes(letter));
+}
+
+function getWordLengths(language = DEFAULT_LANGUAGE) {
+    return getPack(language).lengths;
+}
+
+// Languages as listed to clients
+function getLanguages() {
+    return SUPPORTED_LANGUAGES.map(language => ({
+        language,
+        name: WORD_PACKS[language].name,
+        wordLengths: WORD_PACKS[language].lengths
+    }));
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES,
+    getLists,
+    toUpperCase,
+    toLowerCase,
+    isInAlphabet,
+    getWordLengths,
+    getLanguages
+};
@@ -1,16 +1,100 @@
-const wordList = require('./wordle-list.json');
+const {
+    DEFAULT_LANGUAGE,
+    getLists,
+    toUpperCase,
+    toLowerCase,
+    isInAlphabet,
+    getWordLengths
+} = require('./wordPacks');
 
-function getRandomWord() {
-    const words = wordList.words;
-    return words[Math.floor(Math.random() * words.length)].toUpperCase();
+// A random answer, upper-cased for the language
+function getRandomWord(length = 5, language = DEFAULT_LANGUAGE) {
+    const { answers } = getLists(language, length);
+    if (answers.length === 0) {
+        throw new Error(`No ${language} word list for length ${length}`);
+    }
+    return toUpperCase(answers[Math.floor(Math.random() * answers.length)], language);
 }
 
-function isValidWord(word) {
-    return wordList.words.includes(word.toLowerCase());
+// The answer list for a length, in lower case
+function getWordList(length = 5, language = DEFAULT_LANGUAGE) {
+    return getLists(language, length).answers;
+}
+
+function isListed(lowerCased, language) {
+    return getLists(language, [...lowerCased].length).allowed.has(lowerCased);
+}
+
+// A word in lower case, spelled as in the word lists. Plain upper-casing turns
+// German ß into SS ("GRÖSSE" for größe), so a German word that is not listed
+// as given is matched with each SS read as ß.
+function toListedSpelling(word, language) {
+    const lowerCased = toLowerCase(word, language);
+    if (language !== 'de' || !lowerCased.includes('ss') || isListed(lowerCased, language)) {
+        return lowerCased;
+    }
+
+    const parts = lowerCased.split('ss');
+    for (let mask = 1; mask < 2 ** (parts.length - 1); mask++) {
+        const spelling = parts.reduce((joined, part, index) =>
+            joined + ((mask >> (index - 1)) & 1 ? 'ß' : 'ss') + part
+        );
+        if (isListed(spelling, language)) {
+            return spelling;
+        }
+    }
+    return lowerCased;
+}
+
+// Whether a word is accepted as a guess: any answer or allowed word
+function isValidWord(word, language = DEFAULT_LANGUAGE) {
+    return isListed(toListedSpelling(word, language), language);
+}
+
+// A guess as stored and scored: upper case for its language, spelled as in
+// the word lists
+function normalizeWord(word, language = DEFAULT_LANGUAGE) {
+    return toUpperCase(toListedSpelling(word, language), language);
+}
+
+// Score a guess against the target word. Returns one entry per letter:
+// 'correct' (right letter, right spot), 'present' (in the word, wrong spot)
+// or 'absent'. A repeated letter is only marked present as many times as it
+// still appears unmatched in the target. Both words should already be
+// upper-cased for their language with normalizeWord.
+function scoreGuess(guess, targetWord) {
+    const guessLetters = guess.toUpperCase().split('');
+    const targetLetters = targetWord.toUpperCase().split('');
+    const feedback = guessLetters.map(() => 'absent');
+    const unmatched = {};
+
+    // First pass: exact matches, counting the target letters left over
+    targetLetters.forEach((letter, index) => {
+        if (guessLetters[index] === letter) {
+            feedback[index] = 'correct';
+        } else {
+            unmatched[letter] = (unmatched[letter] || 0) + 1;
+        }
+    });
+
+    // Second pass: misplaced letters, consuming the leftover counts
+    guessLetters.forEach((letter, index) => {
+        if (feedback[index] !== 'correct' && unmatched[letter] > 0) {
+            feedback[index] = 'present';
+            unmatched[letter]--;
+        }
+    });
+
+    return feedback;
 }
 
 module.exports = { 
+    DEFAULT_LANGUAGE,
     getRandomWord,
+    getWordList,
+    getWordLengths,
     isValidWord,
-    wordList: wordList.words 
-}; 
\ No newline at end of file
+    isInAlphabet,
+    normalizeWord,
+    scoreGuess
+}; 
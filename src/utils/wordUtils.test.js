@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreGuess, normalizeWord, isValidWord, getRandomWord, getWordList } = require('./wordUtils');
+
+describe('scoreGuess', () => {
+    it('marks every letter of the target word correct', () => {
+        assert.deepEqual(scoreGuess('CRANE', 'CRANE'), Array(5).fill('correct'));
+    });
+
+    it('marks a repeated guess letter present only as often as it is left in the target', () => {
+        // The E in the last spot is correct, so the other two Es are absent
+        assert.deepEqual(scoreGuess('EERIE', 'CRANE'), ['absent', 'absent', 'present', 'absent', 'correct']);
+    });
+
+    it('counts repeated target letters after exact matches', () => {
+        assert.deepEqual(scoreGuess('BABES', 'ABBEY'), ['present', 'present', 'correct', 'correct', 'absent']);
+    });
+
+    it('leaves a second copy absent when the target has one', () => {
+        assert.deepEqual(scoreGuess('LLAMA', 'HELLO'), ['present', 'present', 'absent', 'absent', 'absent']);
+    });
+});
+
+describe('normalizeWord', () => {
+    it('upper-cases Turkish dotted and dotless i', () => {
+        assert.equal(normalizeWord('şehir', 'tr'), 'ŞEHİR');
+        assert.equal(normalizeWord('ılık', 'tr'), 'ILIK');
+    });
+
+    it('keeps German ß as one letter', () => {
+        assert.equal(normalizeWord('größe', 'de'), 'GRÖẞE');
+    });
+
+    it('reads SS as ß when only that spelling is listed', () => {
+        assert.equal(normalizeWord('GRÖSSE', 'de'), 'GRÖẞE');
+        assert.ok(isValidWord('GRÖSSE', 'de'));
+    });
+});
+
+describe('isValidWord', () => {
+    it('accepts answers and allowed guesses in any case', () => {
+        assert.ok(isValidWord('crane'));
+        assert.ok(isValidWord('CRANE'));
+        assert.ok(isValidWord('abaft'));
+    });
+
+    it('rejects words outside the lists', () => {
+        assert.ok(!isValidWord('zzzzz'));
+    });
+
+    it('accepts blocked words as guesses though they are never answers', () => {
+        assert.ok(!getWordList(5).includes('semen'));
+        assert.ok(!getWordList(6).includes('rapist'));
+        assert.ok(isValidWord('semen'));
+        assert.ok(isValidWord('rapist'));
+    });
+});
+
+describe('getRandomWord', () => {
+    it('picks an upper-case answer of the requested length', () => {
+        const word = getRandomWord(6);
+        assert.equal(word.length, 6);
+        assert.equal(word, word.toUpperCase());
+    });
+});